@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+
+import { createHierarchy, isHierarchical } from '../src/components/hierarchy';
+
+const ids = (items) => items.map(({ id }) => id);
+
+const nested = [
+  {
+    id: 'europe',
+    text: 'Europe',
+    children: [
+      {
+        id: 'germany',
+        text: 'Germany',
+        children: [
+          { id: 'berlin', text: 'Berlin' },
+          { id: 'munich', text: 'Munich' },
+        ],
+      },
+      { id: 'france', text: 'France' },
+    ],
+  },
+  { id: 'asia', text: 'Asia' },
+];
+
+const flat = [
+  { id: 'berlin', text: 'Berlin', parentId: 'germany' },
+  { id: 'europe', text: 'Europe' },
+  { id: 'germany', text: 'Germany', parentId: 'europe' },
+  { id: 'atlantis', text: 'Atlantis', parentId: 'ocean' },
+];
+
+describe('Test isHierarchical', () => {
+  test('detects a parentId or children', () => {
+    expect(isHierarchical(nested)).to.be.true;
+    expect(isHierarchical(flat)).to.be.true;
+    expect(isHierarchical([{ id: 'a', text: 'a', parentId: null }])).to.be
+      .false;
+    expect(isHierarchical([{ id: 'a', text: 'a' }])).to.be.false;
+  });
+});
+
+describe('Test createHierarchy', () => {
+  test('flattens nested children depth first', () => {
+    const hierarchy = createHierarchy(nested);
+    expect(ids(hierarchy.items)).to.deep.equal([
+      'europe',
+      'germany',
+      'berlin',
+      'munich',
+      'france',
+      'asia',
+    ]);
+    expect(hierarchy.getItem('berlin')).to.deep.equal({
+      id: 'berlin',
+      text: 'Berlin',
+      parentId: 'germany',
+    });
+    expect(hierarchy.getItem('europe')).to.not.have.property('children');
+  });
+
+  test('finds the children, ancestors and descendants', () => {
+    const hierarchy = createHierarchy(nested);
+    const berlin = hierarchy.getItem('berlin');
+    const europe = hierarchy.getItem('europe');
+    expect(ids(hierarchy.getChildren(null))).to.deep.equal(['europe', 'asia']);
+    expect(ids(hierarchy.getChildren('germany'))).to.deep.equal([
+      'berlin',
+      'munich',
+    ]);
+    expect(hierarchy.getChildren('berlin')).to.deep.equal([]);
+    expect(ids(hierarchy.getAncestors(berlin))).to.deep.equal([
+      'europe',
+      'germany',
+    ]);
+    expect(ids(hierarchy.getDescendants(europe))).to.deep.equal([
+      'germany',
+      'berlin',
+      'munich',
+      'france',
+    ]);
+    expect(hierarchy.hasChildren(europe)).to.be.true;
+    expect(hierarchy.hasChildren(berlin)).to.be.false;
+    expect(hierarchy.getParent(europe)).to.be.undefined;
+  });
+
+  test('links suggestions by parentId', () => {
+    const hierarchy = createHierarchy(flat);
+    expect(ids(hierarchy.getChildren(null))).to.deep.equal([
+      'europe',
+      'atlantis',
+    ]);
+    expect(
+      ids(hierarchy.getAncestors(hierarchy.getItem('berlin')))
+    ).to.deep.equal(['europe', 'germany']);
+    expect(hierarchy.getAncestors(hierarchy.getItem('atlantis'))).to.deep.equal(
+      []
+    );
+  });
+
+  test('ignores cycles', () => {
+    const hierarchy = createHierarchy([
+      { id: 'a', text: 'A', parentId: 'b' },
+      { id: 'b', text: 'B', parentId: 'a' },
+    ]);
+    const a = hierarchy.getItem('a');
+    expect(ids(hierarchy.getAncestors(a))).to.deep.equal(['b']);
+    expect(ids(hierarchy.getDescendants(a))).to.deep.equal(['b']);
+  });
+});
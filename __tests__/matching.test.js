@@ -0,0 +1,204 @@
+import { expect } from 'chai';
+
+import {
+  normalizeText,
+  editDistance,
+  prefixScorer,
+  substringScorer,
+  fuzzyScorer,
+  getScorer,
+  rankSuggestions,
+} from '../src/components/matching';
+import { MATCH_STRATEGIES, SENSITIVITIES } from '../src/components/constants';
+
+const labels = (matches) => matches.map(({ item }) => item.text);
+
+const countries = [
+  'Germany',
+  'New Zealand',
+  'New York',
+  'Guernsey',
+  'Curaçao',
+  'Niger',
+].map((text) => ({ id: text, text }));
+
+describe('Test normalizeText', () => {
+  test('lowercases and folds accents keeping the original indexes', () => {
+    expect(normalizeText('CuRaçAo')).to.deep.equal({
+      text: 'curacao',
+      indexMap: [0, 1, 2, 3, 4, 5, 6, 7],
+    });
+  });
+
+  test('keeps accents with the accent sensitivity', () => {
+    expect(normalizeText('Ça', SENSITIVITIES.ACCENT).text).to.equal('ça');
+  });
+
+  test('keeps case with the case and variant sensitivities', () => {
+    expect(normalizeText('Ça', SENSITIVITIES.CASE).text).to.equal('Ca');
+    expect(normalizeText('Ça', SENSITIVITIES.VARIANT).text).to.equal('Ça');
+  });
+
+  test('folds precomposed and decomposed accents alike', () => {
+    const composed = 'Cura\u00e7ao';
+    const decomposed = 'Curac\u0327ao';
+    [SENSITIVITIES.ACCENT, SENSITIVITIES.VARIANT].forEach((sensitivity) => {
+      expect(normalizeText(decomposed, sensitivity).text).to.equal(
+        normalizeText(composed, sensitivity).text
+      );
+    });
+    expect(normalizeText(decomposed).indexMap).to.deep.equal([
+      0, 1, 2, 3, 4, 6, 7, 8,
+    ]);
+  });
+
+  test('folds compatibility characters unless the variant matters', () => {
+    expect(normalizeText('\uff21\uff22c').text).to.equal('abc');
+    expect(normalizeText('\ufb01n', SENSITIVITIES.ACCENT)).to.deep.equal({
+      text: 'fin',
+      indexMap: [0, 0, 1, 2],
+    });
+    expect(normalizeText('\uff21', SENSITIVITIES.VARIANT).text).to.equal(
+      '\uff21'
+    );
+  });
+
+  test('follows the case rules of the locale', () => {
+    expect(normalizeText('İstanbul', SENSITIVITIES.ACCENT, 'tr').text).to.equal(
+      'istanbul'
+    );
+    expect(normalizeText('ISPARTA', SENSITIVITIES.ACCENT, 'tr').text).to.equal(
+      'ısparta'
+    );
+    expect(normalizeText('ISPARTA', SENSITIVITIES.ACCENT).text).to.equal(
+      'isparta'
+    );
+  });
+
+  test('maps characters that change length', () => {
+    expect(normalizeText('éa').indexMap).to.deep.equal([0, 2, 3]);
+  });
+});
+
+describe('Test editDistance', () => {
+  test('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('germny', 'germany')).to.equal(1);
+    expect(editDistance('kitten', 'sitting')).to.equal(3);
+    expect(editDistance('', 'abc')).to.equal(3);
+  });
+
+  test('counts a transposition as a single edit', () => {
+    expect(editDistance('yrok', 'york')).to.equal(1);
+  });
+});
+
+describe('Test built-in scorers', () => {
+  test('prefixScorer only matches the start of the label', () => {
+    expect(prefixScorer('ger', 'Germany')).to.deep.equal({
+      score: 1,
+      ranges: [[0, 3]],
+    });
+    expect(prefixScorer('man', 'Germany')).to.equal(null);
+  });
+
+  test('substringScorer ranks prefixes first and marks every occurrence', () => {
+    expect(substringScorer('an', 'Ananas')).to.deep.equal({
+      score: 2,
+      ranges: [
+        [0, 2],
+        [2, 4],
+      ],
+    });
+    expect(substringScorer('man', 'Germany').score).to.equal(1);
+    expect(substringScorer('xyz', 'Germany')).to.equal(null);
+    expect(substringScorer('', 'Germany')).to.deep.equal({
+      score: 2,
+      ranges: [],
+    });
+  });
+
+  test('fuzzyScorer matches subsequences with non-contiguous ranges', () => {
+    expect(fuzzyScorer('Germny', 'Germany').ranges).to.deep.equal([
+      [0, 4],
+      [5, 7],
+    ]);
+  });
+
+  test('fuzzyScorer tolerates typos within words', () => {
+    expect(fuzzyScorer('new yrok', 'New York').ranges).to.deep.equal([
+      [0, 3],
+      [4, 8],
+    ]);
+    expect(fuzzyScorer('new yrok', 'New Zealand')).to.equal(null);
+  });
+
+  test('fuzzyScorer folds accents', () => {
+    expect(fuzzyScorer('curacao', 'Curaçao').ranges).to.deep.equal([[0, 7]]);
+  });
+
+  test('fuzzyScorer matches everything for an empty query', () => {
+    expect(fuzzyScorer('  ', 'Germany')).to.deep.equal({
+      score: 0,
+      ranges: [],
+    });
+  });
+
+  test('getScorer resolves strategies and custom scorers', () => {
+    const custom = () => 1;
+    expect(getScorer(MATCH_STRATEGIES.PREFIX)).to.equal(prefixScorer);
+    expect(getScorer(MATCH_STRATEGIES.SUBSTRING)).to.equal(substringScorer);
+    expect(getScorer(MATCH_STRATEGIES.FUZZY)).to.equal(fuzzyScorer);
+    expect(getScorer(custom)).to.equal(custom);
+    expect(getScorer('unknown')).to.equal(substringScorer);
+  });
+
+  test('getScorer passes the locale and sensitivity to built-in scorers', () => {
+    const options = { sensitivity: SENSITIVITIES.BASE, locale: 'tr' };
+    expect(getScorer(MATCH_STRATEGIES.PREFIX, options)('curac', 'Curaçao')).to
+      .not.be.null;
+    expect(getScorer(MATCH_STRATEGIES.PREFIX)('curac', 'Curaçao')).to.be.null;
+    expect(
+      getScorer(MATCH_STRATEGIES.SUBSTRING, options)('ist', 'İSTANBUL').ranges
+    ).to.deep.equal([[0, 3]]);
+    expect(getScorer(MATCH_STRATEGIES.FUZZY, options)('ısp', 'ISPARTA')).to.not
+      .be.null;
+  });
+});
+
+describe('Test rankSuggestions', () => {
+  test('ranks word boundary and consecutive matches first', () => {
+    const matches = rankSuggestions('ne', countries, 'text', fuzzyScorer);
+    expect(labels(matches)).to.deep.equal([
+      'New York',
+      'New Zealand',
+      'Niger',
+      'Guernsey',
+    ]);
+  });
+
+  test('ranks exact subsequences above typo matches', () => {
+    const suggestions = [
+      { id: '1', text: 'Grmany' },
+      { id: '2', text: 'Germany' },
+    ];
+    const matches = rankSuggestions('germny', suggestions, 'text', fuzzyScorer);
+    expect(labels(matches)).to.deep.equal(['Germany', 'Grmany']);
+  });
+
+  test('keeps the original order for equal scores', () => {
+    const matches = rankSuggestions('e', countries, 'text', prefixScorer);
+    expect(labels(matches)).to.deep.equal([]);
+    expect(
+      labels(rankSuggestions('', countries, 'text', prefixScorer))
+    ).to.deep.equal(countries.map(({ text }) => text));
+  });
+
+  test('supports custom scorers returning numbers or null', () => {
+    const byLength = (query, label) =>
+      label.length > query.length ? label.length : null;
+    const matches = rankSuggestions('Guernsey', countries, 'text', byLength);
+    expect(matches).to.deep.equal([
+      { item: countries[1], score: 11, ranges: [] },
+    ]);
+  });
+});
@@ -1,4 +1,5 @@
 import React from 'react';
+import PropTypes from 'prop-types';
 import { expect } from 'chai';
 import { mount, shallow } from 'enzyme';
 import { spy, stub, createSandbox } from 'sinon';
@@ -8,8 +9,10 @@ import {
   WithOutContext as PureReactTags,
 } from '../src/components/ReactTags';
 
+import Suggestions from '../src/components/Suggestions';
+import { createMemoryStorage } from '../src/components/usage';
 import { INPUT_FIELD_POSITIONS, KEYS } from '../src/components/constants';
-import { fireEvent, render } from '@testing-library/react';
+import { act, fireEvent, render } from '@testing-library/react';
 
 /* eslint-disable no-console */
 
@@ -39,6 +42,10 @@ afterAll(() => {
   sandbox.restore();
 });
 const DOWN_ARROW_KEY_CODE = 40;
+
+function getSuggestionsProp($el, name) {
+  return $el.update().find(Suggestions).props()[name];
+}
 const ENTER_ARROW_KEY_CODE = 13;
 
 function mockItem(overrides) {
@@ -196,7 +203,8 @@ describe('Test ReactTags', () => {
       const expected = [
         'Banana',
         'Apple',
-        'Apricot\nOrange',
+        'Apricot',
+        'Orange',
         'Blueberry',
         'Pear',
         'Peach',
@@ -272,6 +280,54 @@ describe('Test ReactTags', () => {
       expect(tags).to.deep.have.same.members(expected);
     });
 
+    test('should split quoted CSV values', () => {
+      const tags = [];
+      const $el = mount(
+        mockItem({
+          delimiters: [KEYS.COMMA],
+          handleAddition(tag) {
+            tags.push(tag);
+          },
+        })
+      );
+
+      $el.find('.ReactTags__tagInputField').simulate('paste', {
+        clipboardData: {
+          getData: () => '"Bosnia, Herzegovina", Chad,, "Côte d""Ivoire"',
+        },
+      });
+
+      expect(tags.map((tag) => tag.text)).to.deep.equal([
+        'Bosnia, Herzegovina',
+        'Chad',
+        'Côte d"Ivoire',
+      ]);
+    });
+
+    test('should use parsePaste to split the clipboard', () => {
+      const tags = [];
+      const $el = mount(
+        mockItem({
+          parsePaste: (text) => [
+            'Banana',
+            { id: 'mango', text: text.toUpperCase() },
+          ],
+          handleAddition(tag) {
+            tags.push(tag);
+          },
+        })
+      );
+
+      $el.find('.ReactTags__tagInputField').simulate('paste', {
+        clipboardData: { getData: () => 'Mango' },
+      });
+
+      expect(tags).to.deep.equal([
+        { id: 'Banana', text: 'Banana' },
+        { id: 'mango', text: 'MANGO' },
+      ]);
+    });
+
     test('should allow pasting text only up to maxLength characters', () => {
       const tags = [];
       const maxLength = 5;
@@ -312,7 +368,7 @@ describe('Test ReactTags', () => {
         },
       })
     );
-    expect($el.find(PureReactTags).instance().props.tags).to.have.deep.members(
+    expect($el.find(PureReactTags).props().tags).to.have.deep.members(
       defaults.tags
     );
     const $input = $el.find('.ReactTags__tagInputField');
@@ -333,9 +389,7 @@ describe('Test ReactTags', () => {
       })
     );
 
-    expect($el.find(PureReactTags).instance().props.tags).to.have.members(
-      defaults.tags
-    );
+    expect($el.find(PureReactTags).props().tags).to.have.members(defaults.tags);
 
     const $input = $el.find('.ReactTags__tagInputField');
     $input.simulate('keyDown', { keyCode: DOWN_ARROW_KEY_CODE });
@@ -406,7 +460,7 @@ describe('Test ReactTags', () => {
           tags: modifiedTags,
         })
       );
-      expect($el.find(PureReactTags).instance().props.tags).to.have.members(
+      expect($el.find(PureReactTags).props().tags).to.have.members(
         modifiedTags
       );
     });
@@ -445,11 +499,10 @@ describe('Test ReactTags', () => {
   describe('autocomplete/suggestions filtering', () => {
     test('updates suggestions state if the suggestions prop changes', () => {
       const $el = mount(mockItem());
-      const ReactTagsInstance = $el.find(PureReactTags).instance();
       const $input = $el.find('.ReactTags__tagInputField');
 
       $input.simulate('change', { target: { value: 'ap' } });
-      expect(ReactTagsInstance.state.suggestions).to.have.deep.members([
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.deep.members([
         { id: 'Apricot', text: 'Apricot' },
       ]);
 
@@ -459,7 +512,7 @@ describe('Test ReactTags', () => {
           { id: 'Paprika', text: 'Paprika' },
         ],
       });
-      expect(ReactTagsInstance.state.suggestions).to.have.deep.members([
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.deep.members([
         { id: 'Papaya', text: 'Papaya' },
         { id: 'Paprika', text: 'Paprika' },
       ]);
@@ -467,24 +520,23 @@ describe('Test ReactTags', () => {
 
     test('updates suggestions state as expected based on default filter logic', () => {
       const $el = mount(mockItem());
-      const ReactTagsInstance = $el.find(PureReactTags).instance();
       const $input = $el.find('.ReactTags__tagInputField');
 
-      expect(ReactTagsInstance.state.suggestions).to.have.members(
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.members(
         defaults.suggestions
       );
 
       $input.simulate('change', { target: { value: 'or' } });
-      expect(ReactTagsInstance.state.suggestions).to.have.members([]);
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.members([]);
 
       $input.simulate('change', { target: { value: 'ea' } });
-      expect(ReactTagsInstance.state.suggestions).to.have.deep.members([
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.deep.members([
         { id: 'Pear', text: 'Pear' },
         { id: 'Peach', text: 'Peach' },
       ]);
 
       $input.simulate('change', { target: { value: 'ap' } });
-      expect(ReactTagsInstance.state.suggestions).to.have.deep.members([
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.deep.members([
         { id: 'Apricot', text: 'Apricot' },
       ]);
     });
@@ -501,21 +553,20 @@ describe('Test ReactTags', () => {
           },
         })
       );
-      const ReactTagsInstance = $el.find(PureReactTags).instance();
       const $input = $el.find('.ReactTags__tagInputField');
 
-      expect(ReactTagsInstance.state.suggestions).to.have.members(
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.members(
         defaults.suggestions
       );
 
       $input.simulate('change', { target: { value: 'Ea' } });
-      expect(ReactTagsInstance.state.suggestions).to.have.deep.members([
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.deep.members([
         { id: 'Pear', text: 'Pear' },
         { id: 'Peach', text: 'Peach' },
       ]);
 
       $input.simulate('change', { target: { value: 'ap' } });
-      expect(ReactTagsInstance.state.suggestions).to.have.deep.members([
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.deep.members([
         { id: 'Apricot', text: 'Apricot' },
       ]);
     });
@@ -533,10 +584,9 @@ describe('Test ReactTags', () => {
           },
         })
       );
-      const ReactTagsInstance = $el.find(PureReactTags).instance();
       const $input = $el.find('.ReactTags__tagInputField');
 
-      expect(ReactTagsInstance.state.suggestions).to.have.deep.members(
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.deep.members(
         defaults.suggestions
       );
 
@@ -544,16 +594,16 @@ describe('Test ReactTags', () => {
       $input.simulate('focus');
       $input.simulate('keyDown', { keyCode: DOWN_ARROW_KEY_CODE });
       $input.simulate('keyDown', { keyCode: DOWN_ARROW_KEY_CODE });
-      expect(ReactTagsInstance.state.suggestions).to.have.deep.members([
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.deep.members([
         { id: 'Pear', text: 'Pear' },
         { id: 'Peach', text: 'Peach' },
       ]);
-      expect(ReactTagsInstance.state.selectedIndex).to.equal(1);
+      expect(getSuggestionsProp($el, 'selectedIndex')).to.equal(1);
       $input.simulate('change', { target: { value: 'Each' } });
-      expect(ReactTagsInstance.state.suggestions).to.have.deep.members([
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.deep.members([
         { id: 'Peach', text: 'Peach' },
       ]);
-      expect(ReactTagsInstance.state.selectedIndex).to.equal(0);
+      expect(getSuggestionsProp($el, 'selectedIndex')).to.equal(0);
     });
 
     test('selects the correct suggestion using the keyboard when minQueryLength is set to 0', () => {
@@ -648,6 +698,42 @@ describe('Test ReactTags', () => {
       $el.unmount();
     });
 
+    test('ranks suggestions with the fuzzy match strategy', () => {
+      const $el = mount(
+        mockItem({
+          matchStrategy: 'fuzzy',
+          suggestions: [
+            { id: 'Guernsey', text: 'Guernsey' },
+            { id: 'Germany', text: 'Germany' },
+            { id: 'Greenland', text: 'Greenland' },
+          ],
+        })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('focus');
+      $input.simulate('change', { target: { value: 'Germny' } });
+      expect(getSuggestionsProp($el, 'suggestions')).to.deep.equal([
+        { id: 'Germany', text: 'Germany' },
+      ]);
+      expect($el.find('.ReactTags__suggestions li span').html()).to.equal(
+        '<span><mark>Germ</mark>a<mark>ny</mark></span>'
+      );
+    });
+
+    test('filters suggestions with a custom match strategy', () => {
+      const $el = mount(
+        mockItem({
+          matchStrategy: (query, label) =>
+            label.endsWith(query) ? { score: 1, ranges: [] } : null,
+        })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('change', { target: { value: 'ch' } });
+      expect(getSuggestionsProp($el, 'suggestions')).to.deep.equal([
+        { id: 'Peach', text: 'Peach' },
+      ]);
+    });
+
     test('should show suggestions for the tags which are already added when "allowUnique" is false', () => {
       const actual = [];
       const $el = mount(
@@ -660,19 +746,202 @@ describe('Test ReactTags', () => {
         })
       );
 
-      const ReactTagsInstance = $el.find(PureReactTags).instance();
-
       const $input = $el.find('.ReactTags__tagInputField');
       $input.simulate('change', { target: { value: 'App' } });
 
       $input.simulate('keyDown', { keyCode: ENTER_ARROW_KEY_CODE });
-      expect(ReactTagsInstance.state.suggestions).to.have.deep.members([
+      expect(getSuggestionsProp($el, 'suggestions')).to.have.deep.members([
         { id: 'Apple', text: 'Apple' },
       ]);
       expect(actual).to.have.deep.members([{ id: 'Apple', text: 'Apple' }]);
     });
   });
 
+  describe('loadSuggestions', () => {
+    const countries = [
+      { id: 'Germany', text: 'Germany' },
+      { id: 'Ghana', text: 'Ghana' },
+      { id: 'Greece', text: 'Greece' },
+      { id: 'Apple', text: 'Apple' },
+    ];
+    const wait = (ms = 10) =>
+      act(() => new Promise((resolve) => setTimeout(resolve, ms)));
+
+    // Fake in-memory provider that records every request it receives
+    function createProvider(items = countries) {
+      const requests = [];
+      const provider = (query, { signal }) => {
+        requests.push({ query, signal });
+        return Promise.resolve(
+          items.filter((item) =>
+            item.text.toLowerCase().startsWith(query.toLowerCase())
+          )
+        );
+      };
+      provider.requests = requests;
+      return provider;
+    }
+
+    test('loads suggestions for the query and renders them', async () => {
+      const loadSuggestions = createProvider();
+      const $el = mount(
+        mockItem({ loadSuggestions, loadSuggestionsDebounce: 0 })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('focus');
+      $input.simulate('change', { target: { value: 'Gh' } });
+      expect($el.find('.ReactTags__suggestionsLoading').length).to.equal(1);
+
+      await wait();
+      $el.update();
+      expect(loadSuggestions.requests).to.have.length(1);
+      expect(loadSuggestions.requests[0].query).to.equal('Gh');
+      expect($el.find('.ReactTags__suggestionsLoading').length).to.equal(0);
+      expect($el.find('.ReactTags__suggestions li').text()).to.equal('Ghana');
+      $el.unmount();
+    });
+
+    test('debounces requests while the user is typing', async () => {
+      const loadSuggestions = createProvider();
+      const $el = mount(
+        mockItem({ loadSuggestions, loadSuggestionsDebounce: 20 })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('change', { target: { value: 'Ge' } });
+      $input.simulate('change', { target: { value: 'Ger' } });
+      $input.simulate('change', { target: { value: 'Germ' } });
+
+      await wait(50);
+      expect(loadSuggestions.requests.map(({ query }) => query)).to.deep.equal([
+        'Germ',
+      ]);
+      $el.unmount();
+    });
+
+    test('applies a new debounce delay to the pending query', async () => {
+      const loadSuggestions = createProvider();
+      const $el = mount(
+        mockItem({ loadSuggestions, loadSuggestionsDebounce: 1000 })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('change', { target: { value: 'Ge' } });
+      $el.setProps({ loadSuggestionsDebounce: 0 });
+
+      await wait(20);
+      $input.simulate('change', { target: { value: 'Gh' } });
+      await wait(20);
+      expect(loadSuggestions.requests.map(({ query }) => query)).to.deep.equal([
+        'Ge',
+        'Gh',
+      ]);
+      $el.unmount();
+    });
+
+    test('aborts and ignores stale requests', async () => {
+      const requests = [];
+      const loadSuggestions = (query, { signal }) =>
+        new Promise((resolve) => {
+          requests.push({ query, signal, resolve });
+        });
+      const $el = mount(
+        mockItem({ loadSuggestions, loadSuggestionsDebounce: 0 })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('change', { target: { value: 'Ge' } });
+      await wait();
+      $input.simulate('change', { target: { value: 'Gr' } });
+      await wait();
+
+      expect(requests).to.have.length(2);
+      expect(requests[0].signal.aborted).to.be.true;
+      expect(requests[1].signal.aborted).to.be.false;
+
+      requests[1].resolve([countries[2]]);
+      requests[0].resolve([countries[0]]);
+      await wait();
+      expect(getSuggestionsProp($el, 'suggestions')).to.deep.equal([
+        countries[2],
+      ]);
+      $el.unmount();
+    });
+
+    test('does not load suggestions below minQueryLength', async () => {
+      const loadSuggestions = createProvider();
+      const $el = mount(
+        mockItem({ loadSuggestions, loadSuggestionsDebounce: 0 })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('change', { target: { value: 'G' } });
+      await wait();
+      expect(loadSuggestions.requests).to.have.length(0);
+      $el.unmount();
+    });
+
+    test('excludes existing tags from loaded suggestions', async () => {
+      const loadSuggestions = createProvider();
+      const $el = mount(
+        mockItem({ loadSuggestions, loadSuggestionsDebounce: 0 })
+      );
+      $el
+        .find('.ReactTags__tagInputField')
+        .simulate('change', { target: { value: 'Ap' } });
+      await wait();
+      expect(getSuggestionsProp($el, 'suggestions')).to.deep.equal([]);
+      $el.unmount();
+    });
+
+    test('renders the error and empty states', async () => {
+      let fail = true;
+      const loadSuggestions = () =>
+        fail ? Promise.reject(new Error('offline')) : Promise.resolve([]);
+      const $el = mount(
+        mockItem({
+          loadSuggestions,
+          loadSuggestionsDebounce: 0,
+          renderSuggestionsError: (error) => `Failed: ${error.message}`,
+        })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('focus');
+      $input.simulate('change', { target: { value: 'Xy' } });
+      await wait();
+      $el.update();
+      expect($el.find('.ReactTags__suggestionsError').text()).to.equal(
+        'Failed: offline'
+      );
+
+      fail = false;
+      $input.simulate('change', { target: { value: 'Xyz' } });
+      await wait();
+      $el.update();
+      expect($el.find('.ReactTags__suggestionsError').length).to.equal(0);
+      expect($el.find('.ReactTags__suggestionsEmpty').text()).to.equal(
+        'No matching suggestions'
+      );
+      $el.unmount();
+    });
+
+    test('adds the loaded suggestion selected with the keyboard', async () => {
+      const actual = [];
+      const $el = mount(
+        mockItem({
+          loadSuggestions: createProvider(),
+          loadSuggestionsDebounce: 0,
+          handleAddition(tag) {
+            actual.push(tag);
+          },
+        })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('change', { target: { value: 'Gr' } });
+      await wait();
+      $input.simulate('keyDown', { keyCode: DOWN_ARROW_KEY_CODE });
+      $input.simulate('keyDown', { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(actual).to.deep.equal([{ id: 'Greece', text: 'Greece' }]);
+      $el.unmount();
+    });
+  });
+
   test('should render default tags with custom label field', () => {
     const labelField = 'name';
     const mapper = (data) => ({ id: data.id, name: data.text });
@@ -703,7 +972,7 @@ describe('Test ReactTags', () => {
       })
     );
 
-    expect($el.find(PureReactTags).instance().props.tags).to.have.deep.members(
+    expect($el.find(PureReactTags).props().tags).to.have.deep.members(
       defaults.tags
     );
     const $input = $el.find('.ReactTags__tagInputField');
@@ -787,6 +1056,2673 @@ describe('Test ReactTags', () => {
     expect($el.find('[data-automation="input"]').props().disabled).to.be.true;
   });
 
+  describe('Test accessibility', () => {
+    test('exposes the input as a collapsed combobox', () => {
+      const root = render(mockItem({ id: 'fruits' }));
+      const combobox = root.getByRole('combobox');
+      expect(combobox.getAttribute('aria-expanded')).to.equal('false');
+      expect(combobox.getAttribute('aria-controls')).to.equal('fruits-listbox');
+      expect(combobox.getAttribute('aria-autocomplete')).to.equal('list');
+      expect(combobox.hasAttribute('aria-activedescendant')).to.be.false;
+      expect(root.queryByRole('listbox')).to.equal(null);
+    });
+
+    test('announces the highlighted suggestion while navigating', () => {
+      const root = render(mockItem({ id: 'fruits' }));
+      const combobox = root.getByRole('combobox');
+      fireEvent.focus(combobox);
+      fireEvent.change(combobox, { target: { value: 'Pe' } });
+
+      expect(combobox.getAttribute('aria-expanded')).to.equal('true');
+      const listbox = root.getByRole('listbox');
+      expect(listbox.id).to.equal('fruits-listbox');
+      const options = root.getAllByRole('option');
+      expect(options.map((option) => option.id)).to.deep.equal([
+        'fruits-listbox-option-0',
+        'fruits-listbox-option-1',
+      ]);
+      expect(root.queryAllByRole('option', { selected: true })).to.have.length(
+        0
+      );
+
+      fireEvent.keyDown(combobox, { keyCode: DOWN_ARROW_KEY_CODE });
+      fireEvent.keyDown(combobox, { keyCode: DOWN_ARROW_KEY_CODE });
+      const selected = root.getByRole('option', { selected: true });
+      expect(selected.textContent).to.equal('Peach');
+      expect(combobox.getAttribute('aria-activedescendant')).to.equal(
+        selected.id
+      );
+    });
+
+    test('generates distinct ids when no id is given', () => {
+      const first = render(mockItem());
+      const second = render(mockItem());
+      const [firstInput, secondInput] = [first, second].map((root) =>
+        root.container.querySelector('[role="combobox"]')
+      );
+      expect(firstInput.getAttribute('aria-controls')).to.not.equal(
+        secondInput.getAttribute('aria-controls')
+      );
+    });
+
+    test('exposes the tags as a list with the tag count', () => {
+      const root = render(
+        mockItem({
+          tags: [...defaults.tags, { id: 'Litchi', text: 'Litchi' }],
+        })
+      );
+      const list = root.getByRole('list');
+      expect(list.getAttribute('aria-label')).to.equal('2 tags');
+      const items = root.getAllByRole('listitem');
+      expect(items.map((item) => item.textContent)).to.deep.equal([
+        'Apple×',
+        'Litchi×',
+      ]);
+      expect(items[1].getAttribute('aria-posinset')).to.equal('2');
+      expect(items[1].getAttribute('aria-setsize')).to.equal('2');
+    });
+
+    test('only puts the tags in the list', () => {
+      const root = render(
+        mockItem({
+          suggestions: defaults.suggestions,
+          inputFieldPosition: 'inline',
+        })
+      );
+      const input = root.getByRole('combobox');
+      input.focus();
+      fireEvent.focus(input);
+      fireEvent.change(input, { target: { value: 'Pe' } });
+      const list = root.getByRole('list');
+      expect(
+        Array.from(list.children).map((child) => child.getAttribute('role'))
+      ).to.deep.equal(['listitem']);
+      expect(list.contains(input)).to.be.false;
+      expect(list.contains(root.getByRole('listbox'))).to.be.false;
+    });
+  });
+
+  describe('Test localization', () => {
+    const messages = {
+      placeholder: 'Appuyez sur entrée pour ajouter une étiquette',
+      tagList: { one: '{count} étiquette', other: '{count} étiquettes' },
+      removeTag: 'Supprimer {label} (position {index})',
+      tagDeleted: 'Étiquette {label} supprimée.',
+      inputFocused: 'Champ de saisie sélectionné.',
+    };
+
+    test('uses the English defaults', () => {
+      const root = render(mockItem());
+      expect(root.getByRole('combobox').getAttribute('placeholder')).to.equal(
+        'Press enter to add new tag'
+      );
+      expect(root.getByRole('list').getAttribute('aria-label')).to.equal(
+        '1 tag'
+      );
+      expect(root.getByRole('button').getAttribute('aria-label')).to.equal(
+        'Tag at index 0 with value Apple focussed. Press backspace to remove'
+      );
+    });
+
+    test('translates the placeholder, tag list and remove buttons', () => {
+      const root = render(
+        mockItem({
+          messages,
+          locale: 'fr',
+          tags: [...defaults.tags, { id: 'Litchi', text: 'Litchi' }],
+        })
+      );
+      expect(root.getByRole('combobox').getAttribute('placeholder')).to.equal(
+        messages.placeholder
+      );
+      expect(root.getByRole('list').getAttribute('aria-label')).to.equal(
+        '2 étiquettes'
+      );
+      expect(
+        root
+          .getAllByRole('button')
+          .map((button) => button.getAttribute('aria-label'))
+      ).to.deep.equal([
+        'Supprimer Apple (position 0)',
+        'Supprimer Litchi (position 1)',
+      ]);
+    });
+
+    test('prefers the placeholder prop over the messages', () => {
+      const root = render(mockItem({ messages, placeholder: 'Add a fruit' }));
+      expect(root.getByRole('combobox').getAttribute('placeholder')).to.equal(
+        'Add a fruit'
+      );
+    });
+
+    test('translates the live region announcements', () => {
+      const root = render(mockItem({ messages }));
+      fireEvent.click(root.getByRole('button'));
+      expect(root.getByRole('alert').textContent).to.equal(
+        'Étiquette Apple supprimée. Champ de saisie sélectionné.'
+      );
+    });
+
+    test('uses the translate function before the messages', () => {
+      const translate = spy((key, values) =>
+        key === 'tagList' ? `tags:${values.count}` : undefined
+      );
+      const root = render(mockItem({ messages, translate }));
+      expect(root.getByRole('list').getAttribute('aria-label')).to.equal(
+        'tags:1'
+      );
+      expect(root.getByRole('combobox').getAttribute('placeholder')).to.equal(
+        messages.placeholder
+      );
+      expect(
+        translate.calledWith('removeTag', {
+          index: 0,
+          id: 'Apple',
+          label: 'Apple',
+        })
+      ).to.be.true;
+    });
+  });
+
+  describe('Test validate', () => {
+    const wait = () =>
+      act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+
+    function mountWithValidate(validate, overrides) {
+      const actual = [];
+      const $el = mount(
+        mockItem({
+          validate,
+          handleAddition(tag) {
+            actual.push(tag);
+          },
+          ...overrides,
+        })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      const add = (value) => {
+        $input.getDOMNode().value = value;
+        $input.simulate('change', { target: { value } });
+        $input.simulate('keyDown', { keyCode: ENTER_ARROW_KEY_CODE });
+        $el.update();
+      };
+      return { $el, actual, add };
+    }
+
+    test('adds tags accepted by the validator', () => {
+      const validate = spy(() => true);
+      const { actual, add } = mountWithValidate(validate);
+      add('Mango');
+      expect(actual).to.deep.equal([{ id: 'Mango', text: 'Mango' }]);
+      expect(validate.calledWith({ id: 'Mango', text: 'Mango' }, defaults.tags))
+        .to.be.true;
+    });
+
+    test('shows the error and keeps the text when a tag is rejected', () => {
+      const { $el, actual, add } = mountWithValidate((tag) =>
+        tag.text.length > 5 ? 'Tags can have at most 5 characters' : undefined
+      );
+      add('Watermelon');
+      expect(actual).to.have.length(0);
+      const $error = $el.find('.ReactTags__error');
+      expect($error.text()).to.equal('Tags can have at most 5 characters');
+      expect($el.find('[role="alert"]').text()).to.equal(
+        'Tags can have at most 5 characters'
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      expect($input.getDOMNode().value).to.equal('Watermelon');
+      expect($input.prop('aria-invalid')).to.be.true;
+      expect($input.prop('aria-describedby')).to.equal($error.prop('id'));
+
+      $input.simulate('change', { target: { value: 'Water' } });
+      expect($el.find('.ReactTags__error').length).to.equal(0);
+    });
+
+    test('uses the invalidTag message when the validator returns false', () => {
+      const { $el, add } = mountWithValidate(() => false, {
+        messages: { invalidTag: 'Invalid: {label}' },
+      });
+      add('Mango');
+      expect($el.find('.ReactTags__error').text()).to.equal('Invalid: Mango');
+    });
+
+    test('adds the tag returned by the validator', () => {
+      const { actual, add } = mountWithValidate((tag) => ({
+        tag: { ...tag, text: tag.text.toUpperCase() },
+      }));
+      add('Mango');
+      expect(actual).to.deep.equal([{ id: 'Mango', text: 'MANGO' }]);
+    });
+
+    test('adds the tag and shows warnings', () => {
+      const { $el, actual, add } = mountWithValidate(() => ({
+        warning: 'This tag is deprecated',
+      }));
+      add('Mango');
+      expect(actual).to.have.length(1);
+      expect($el.find('.ReactTags__warning').text()).to.equal(
+        'This tag is deprecated'
+      );
+      expect($el.find('[role="alert"]').text()).to.equal(
+        'This tag is deprecated'
+      );
+    });
+
+    test('supports asynchronous validators', async () => {
+      const blocklist = ['Durian'];
+      const { $el, actual, add } = mountWithValidate((tag) =>
+        Promise.resolve(
+          blocklist.includes(tag.text) ? { error: 'Not allowed' } : true
+        )
+      );
+      add('Durian');
+      await wait();
+      $el.update();
+      expect(actual).to.have.length(0);
+      expect($el.find('.ReactTags__error').text()).to.equal('Not allowed');
+
+      add('Mango');
+      await wait();
+      $el.update();
+      expect(actual).to.deep.equal([{ id: 'Mango', text: 'Mango' }]);
+      expect($el.find('.ReactTags__error').length).to.equal(0);
+    });
+
+    test('validates a tag submitted twice only once', async () => {
+      const validate = spy(() => Promise.resolve(true));
+      const { $el, actual } = mountWithValidate(validate);
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.getDOMNode().value = 'Mango';
+      $input.simulate('change', { target: { value: 'Mango' } });
+      $input.simulate('keyDown', { keyCode: ENTER_ARROW_KEY_CODE });
+      $input.simulate('keyDown', { keyCode: ENTER_ARROW_KEY_CODE });
+      await wait();
+      expect(validate.calledOnce).to.be.true;
+      expect(actual).to.deep.equal([{ id: 'Mango', text: 'Mango' }]);
+    });
+
+    test('checks asynchronously validated tags for duplicates', async () => {
+      const { actual, add } = mountWithValidate((tag) =>
+        Promise.resolve(
+          tag.text === 'Fruit' ? { tag: { id: 'Apple', text: 'Apple' } } : true
+        )
+      );
+      add('mango');
+      add('Mango');
+      add('Fruit');
+      await wait();
+      expect(actual).to.deep.equal([{ id: 'mango', text: 'mango' }]);
+    });
+
+    test('keeps the text typed during an asynchronous validation', async () => {
+      const { $el, actual, add } = mountWithValidate((tag) =>
+        Promise.resolve(tag.text === 'Durian' ? 'Not allowed' : true)
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      const type = (value) => {
+        $input.getDOMNode().value = value;
+        $input.simulate('change', { target: { value } });
+      };
+      add('Mango');
+      type('Kiwi in progress');
+      await wait();
+      $el.update();
+      expect(actual).to.deep.equal([{ id: 'Mango', text: 'Mango' }]);
+      expect($input.getDOMNode().value).to.equal('Kiwi in progress');
+
+      add('Durian');
+      type('Kiwi');
+      await wait();
+      $el.update();
+      expect(actual).to.have.length(1);
+      expect($el.find('.ReactTags__error').length).to.equal(0);
+      expect($input.getDOMNode().value).to.equal('Kiwi');
+    });
+
+    test('rejects the tag when an asynchronous validator fails', async () => {
+      const { $el, actual, add } = mountWithValidate(() =>
+        Promise.reject(new Error('Validation service unavailable'))
+      );
+      add('Mango');
+      await wait();
+      $el.update();
+      expect(actual).to.have.length(0);
+      expect($el.find('.ReactTags__error').text()).to.equal(
+        'Validation service unavailable'
+      );
+    });
+  });
+
+  describe('Test maxTags', () => {
+    const paste = ($el, text) =>
+      $el.find('.ReactTags__tagInputField').simulate('paste', {
+        clipboardData: { getData: () => text },
+      });
+
+    test('stops adding tags at the limit', () => {
+      const actual = [];
+      const onLimitExceeded = spy();
+      const $el = mount(
+        mockItem({
+          maxTags: 1,
+          onLimitExceeded,
+          handleAddition(tag) {
+            actual.push(tag);
+          },
+        })
+      );
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('change', { target: { value: 'Mango' } });
+      $input.simulate('keyDown', { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(actual).to.have.length(0);
+      expect(
+        onLimitExceeded.calledOnceWithExactly([{ id: 'Mango', text: 'Mango' }])
+      ).to.be.true;
+      expect($el.find('[role="alert"]').text()).to.equal(
+        'Limit of 1 tag reached'
+      );
+    });
+
+    test('stops adding suggestions at the limit', () => {
+      const actual = [];
+      const $el = mount(
+        mockItem({
+          maxTags: 1,
+          minQueryLength: 0,
+          handleAddition(tag) {
+            actual.push(tag);
+          },
+        })
+      );
+      $el.find('.ReactTags__tagInputField').simulate('focus');
+      $el.find('.ReactTags__suggestions li').first().simulate('mouseDown');
+      expect(actual).to.have.length(0);
+    });
+
+    test('shows the limit reached state', () => {
+      const $el = mount(mockItem({ maxTags: 2 }));
+      let $input = $el.find('.ReactTags__tagInputField');
+      expect($input.hasClass('ReactTags__limitReached')).to.be.false;
+      expect($input.prop('readOnly')).to.equal(undefined);
+
+      $el.setProps({
+        tags: [...defaults.tags, { id: 'Mango', text: 'Mango' }],
+      });
+      $input = $el.find('.ReactTags__tagInputField');
+      expect($input.hasClass('ReactTags__limitReached')).to.be.true;
+      expect($input.prop('readOnly')).to.be.true;
+      expect($input.prop('aria-disabled')).to.be.true;
+    });
+
+    test('announces when the last allowed tag is added', () => {
+      const $el = mount(mockItem({ maxTags: 2 }));
+      const $input = $el.find('.ReactTags__tagInputField');
+      $input.simulate('change', { target: { value: 'Mango' } });
+      $input.simulate('keyDown', { keyCode: ENTER_ARROW_KEY_CODE });
+      expect($el.find('[role="alert"]').text()).to.equal(
+        'Limit of 2 tags reached'
+      );
+    });
+
+    test('applies the limit to tags validated at the same time', async () => {
+      const onLimitExceeded = spy();
+      const root = render(
+        <PureReactTags
+          defaultTags={[]}
+          maxTags={1}
+          onLimitExceeded={onLimitExceeded}
+          validate={() => Promise.resolve(true)}
+        />
+      );
+      const input = root.getByRole('combobox');
+      ['Mango', 'Kiwi'].forEach((value) => {
+        fireEvent.change(input, { target: { value } });
+        fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      });
+      await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+      expect(
+        root.getAllByRole('listitem').map((tag) => tag.textContent)
+      ).to.deep.equal(['Mango×']);
+      expect(onLimitExceeded.args).to.deep.equal([
+        [[{ id: 'Kiwi', text: 'Kiwi' }]],
+      ]);
+    });
+
+    test('passes the remainder of a paste to onLimitExceeded', () => {
+      const actual = [];
+      const onLimitExceeded = spy();
+      const $el = mount(
+        mockItem({
+          maxTags: 3,
+          delimiters: [188],
+          onLimitExceeded,
+          handleAddition(tag) {
+            actual.push(tag);
+          },
+        })
+      );
+      paste($el, 'Apple,Mango,Kiwi,Lime,Pear');
+      expect(actual.map(({ id }) => id)).to.deep.equal(['Mango', 'Kiwi']);
+      expect(onLimitExceeded.calledOnce).to.be.true;
+      expect(onLimitExceeded.firstCall.args[0]).to.deep.equal([
+        { id: 'Lime', text: 'Lime' },
+        { id: 'Pear', text: 'Pear' },
+      ]);
+    });
+  });
+
+  describe('Test editable', () => {
+    function mountEditable(overrides) {
+      const handleTagUpdate = spy();
+      const $el = mount(
+        mockItem({
+          editable: true,
+          handleTagUpdate,
+          tags: [
+            { id: 'Apple', text: 'Apple' },
+            { id: 'Mango', text: 'Mango' },
+            { id: '3', text: 'Kiwi' },
+          ],
+          ...overrides,
+        })
+      );
+      const edit = (index, value) => {
+        $el.find('.ReactTags__tag').at(index).simulate('doubleClick');
+        const $input = $el.find('.ReactTags__editTagInputField');
+        $input.simulate('change', { target: { value } });
+        $input.simulate('keyDown', { keyCode: ENTER_ARROW_KEY_CODE });
+      };
+      return { $el, handleTagUpdate, edit };
+    }
+
+    test('updates a tag in place', () => {
+      const { $el, handleTagUpdate, edit } = mountEditable();
+      edit(0, ' Apricot ');
+      expect(
+        handleTagUpdate.calledOnceWithExactly(0, {
+          id: 'Apricot',
+          text: 'Apricot',
+        })
+      ).to.be.true;
+      expect($el.find('.ReactTags__editTagInputField').length).to.equal(0);
+      expect($el.find('[role="alert"]').text()).to.equal(
+        'Tag at index 0 updated to Apricot.'
+      );
+    });
+
+    test('keeps the id of tags whose id differs from the label', () => {
+      const { handleTagUpdate, edit } = mountEditable();
+      edit(2, 'Kiwis');
+      expect(
+        handleTagUpdate.calledOnceWithExactly(2, { id: '3', text: 'Kiwis' })
+      ).to.be.true;
+    });
+
+    test('rejects edits that duplicate another tag', () => {
+      const { $el, handleTagUpdate, edit } = mountEditable();
+      edit(1, 'apple');
+      expect(handleTagUpdate.called).to.be.false;
+      expect($el.find('.ReactTags__editTagInputField').length).to.equal(1);
+    });
+
+    test('does not update the tag when the label is unchanged', () => {
+      const { $el, handleTagUpdate, edit } = mountEditable();
+      edit(0, 'Apple');
+      expect(handleTagUpdate.called).to.be.false;
+      expect($el.find('.ReactTags__editTagInputField').length).to.equal(0);
+    });
+
+    test('cancels the edit with Escape', () => {
+      const { $el, handleTagUpdate } = mountEditable();
+      $el.find('.ReactTags__tag').at(0).simulate('doubleClick');
+      const $input = $el.find('.ReactTags__editTagInputField');
+      $input.simulate('change', { target: { value: 'Apricot' } });
+      $input.simulate('keyDown', { keyCode: KEYS.ESCAPE });
+      expect(handleTagUpdate.called).to.be.false;
+      expect($el.find('.ReactTags__editTagInputField').length).to.equal(0);
+      expect($el.find('.ReactTags__tag').at(0).text()).to.have.string('Apple');
+    });
+
+    test('cannot edit tags without handleTagUpdate', () => {
+      const { $el } = mountEditable({ handleTagUpdate: undefined });
+      $el.find('.ReactTags__tag').at(0).simulate('doubleClick');
+      expect($el.find('.ReactTags__editTagInputField').length).to.equal(0);
+    });
+  });
+
+  describe('Test keyboard navigation between tags', () => {
+    const KEY_CODES = {
+      LEFT: 37,
+      RIGHT: 39,
+      HOME: 36,
+      END: 35,
+      DELETE: 46,
+      BACKSPACE: 8,
+    };
+    const fruits = ['Apple', 'Mango', 'Kiwi', 'Lime'].map((text) => ({
+      id: text,
+      text,
+    }));
+
+    function renderTags(overrides) {
+      const root = render(mockItem({ tags: fruits, ...overrides }));
+      const input = root.queryByRole('combobox');
+      const tagElements = () => root.getAllByRole('listitem');
+      const press = (keyCode, options) =>
+        fireEvent.keyDown(document.activeElement, { keyCode, ...options });
+      // jsdom does not dispatch focusin, which React listens to
+      const focus = (element) => {
+        element.focus();
+        fireEvent.focus(element);
+      };
+      const selectedTexts = () =>
+        tagElements()
+          .filter((tag) => tag.classList.contains('ReactTags__tagSelected'))
+          .map((tag) => tag.firstChild.textContent);
+      return { root, input, tagElements, press, focus, selectedTexts };
+    }
+
+    test('makes a single tag tabbable', () => {
+      const { tagElements, press, input, focus } = renderTags();
+      expect(tagElements().map((tag) => tag.tabIndex)).to.deep.equal([
+        0, -1, -1, -1,
+      ]);
+      focus(input);
+      press(KEY_CODES.LEFT);
+      expect(tagElements().map((tag) => tag.tabIndex)).to.deep.equal([
+        -1, -1, -1, 0,
+      ]);
+    });
+
+    test('moves from the empty input into the tags and back', () => {
+      const { tagElements, press, input, focus } = renderTags();
+      focus(input);
+      press(KEY_CODES.LEFT);
+      expect(document.activeElement).to.equal(tagElements()[3]);
+      press(KEY_CODES.LEFT);
+      press(KEY_CODES.LEFT);
+      expect(document.activeElement).to.equal(tagElements()[1]);
+      press(KEY_CODES.RIGHT);
+      press(KEY_CODES.RIGHT);
+      expect(document.activeElement).to.equal(tagElements()[3]);
+      press(KEY_CODES.RIGHT);
+      expect(document.activeElement).to.equal(input);
+    });
+
+    test('does not leave the input when it has text', () => {
+      const { press, input, focus } = renderTags();
+      focus(input);
+      fireEvent.change(input, { target: { value: 'Pe' } });
+      press(KEY_CODES.LEFT);
+      expect(document.activeElement).to.equal(input);
+    });
+
+    test('jumps to the first and last tags', () => {
+      const { tagElements, press, focus } = renderTags();
+      focus(tagElements()[1]);
+      press(KEY_CODES.HOME);
+      expect(document.activeElement).to.equal(tagElements()[0]);
+      press(KEY_CODES.LEFT);
+      expect(document.activeElement).to.equal(tagElements()[0]);
+      press(KEY_CODES.END);
+      expect(document.activeElement).to.equal(tagElements()[3]);
+    });
+
+    test('extends the selection with shift', () => {
+      const { root, tagElements, press, selectedTexts, focus } = renderTags();
+      focus(tagElements()[1]);
+      expect(selectedTexts()).to.deep.equal(['Mango']);
+      press(KEY_CODES.RIGHT, { shiftKey: true });
+      press(KEY_CODES.RIGHT, { shiftKey: true });
+      expect(selectedTexts()).to.deep.equal(['Mango', 'Kiwi', 'Lime']);
+      expect(root.getByRole('alert').textContent).to.equal('3 tags selected.');
+      press(KEY_CODES.RIGHT, { shiftKey: true });
+      expect(document.activeElement).to.equal(tagElements()[3]);
+      press(KEY_CODES.HOME, { shiftKey: true });
+      expect(selectedTexts()).to.deep.equal(['Apple', 'Mango']);
+      press(KEY_CODES.LEFT);
+      expect(selectedTexts()).to.deep.equal(['Apple']);
+    });
+
+    test('clears the selection when focus leaves the tags', () => {
+      const { tagElements, press, input, selectedTexts, focus } = renderTags();
+      focus(tagElements()[1]);
+      press(KEY_CODES.END, { shiftKey: true });
+      focus(input);
+      expect(selectedTexts()).to.deep.equal([]);
+      focus(tagElements()[0]);
+      fireEvent.blur(tagElements()[0]);
+      expect(selectedTexts()).to.deep.equal([]);
+    });
+
+    test('deletes the focused tag', () => {
+      const handleDelete = spy();
+      const { root, tagElements, press, focus } = renderTags({ handleDelete });
+      focus(tagElements()[1]);
+      press(KEY_CODES.DELETE);
+      expect(handleDelete.calledOnce).to.be.true;
+      expect(handleDelete.firstCall.args[0]).to.equal(1);
+      expect(document.activeElement).to.equal(tagElements()[1]);
+      expect(root.getByRole('alert').textContent).to.equal(
+        'Tag at index 1 with value Mango deleted.'
+      );
+    });
+
+    test('deletes all selected tags in one batch', () => {
+      const handleDelete = spy();
+      const handleDeleteTags = spy();
+      const { root, tagElements, press, focus } = renderTags({
+        handleDelete,
+        handleDeleteTags,
+      });
+      focus(tagElements()[3]);
+      press(KEY_CODES.LEFT, { shiftKey: true });
+      press(KEY_CODES.LEFT, { shiftKey: true });
+      press(KEY_CODES.BACKSPACE);
+      expect(handleDelete.called).to.be.false;
+      expect(handleDeleteTags.calledOnce).to.be.true;
+      expect(handleDeleteTags.firstCall.args[0]).to.deep.equal([1, 2, 3]);
+      expect(document.activeElement).to.equal(tagElements()[0]);
+      expect(root.getByRole('alert').textContent).to.equal('3 tags deleted.');
+    });
+
+    test('falls back to handleDelete from the last selected tag', () => {
+      const handleDelete = spy();
+      const { tagElements, press, input, focus } = renderTags({ handleDelete });
+      focus(tagElements()[0]);
+      press(KEY_CODES.END, { shiftKey: true });
+      press(KEY_CODES.DELETE);
+      expect(handleDelete.args.map(([index]) => index)).to.deep.equal([
+        3, 2, 1, 0,
+      ]);
+      expect(document.activeElement).to.equal(input);
+    });
+
+    test('does not delete tags when readOnly', () => {
+      const handleDelete = spy();
+      const { tagElements, press, focus } = renderTags({
+        handleDelete,
+        readOnly: true,
+      });
+      focus(tagElements()[0]);
+      press(KEY_CODES.DELETE);
+      press(KEY_CODES.RIGHT);
+      press(KEY_CODES.RIGHT);
+      press(KEY_CODES.RIGHT);
+      press(KEY_CODES.RIGHT);
+      expect(handleDelete.called).to.be.false;
+      expect(document.activeElement).to.equal(tagElements()[3]);
+    });
+  });
+
+  describe('Test keyboard reordering', () => {
+    const KEY_CODES = {
+      LEFT: 37,
+      RIGHT: 39,
+      HOME: 36,
+      END: 35,
+      SPACE: 32,
+      ENTER: 13,
+      ESCAPE: 27,
+    };
+    const fruits = ['Apple', 'Mango', 'Kiwi'].map((text) => ({
+      id: text,
+      text,
+    }));
+
+    // keeps the tags in state like an application would, without any DnD backend
+    function renderReorderableTags(props = {}) {
+      const handleDrag = spy((tag, currPos, newPos) => {
+        const tags = root.tags.slice();
+        tags.splice(currPos, 1);
+        tags.splice(newPos, 0, tag);
+        root.tags = tags;
+        root.rerender(
+          <PureReactTags {...props} tags={tags} handleDrag={handleDrag} />
+        );
+      });
+      const root = render(
+        <PureReactTags {...props} tags={fruits} handleDrag={handleDrag} />
+      );
+      root.tags = fruits;
+      const tagElements = () => root.getAllByRole('listitem');
+      const texts = () =>
+        tagElements().map((tag) => tag.firstChild.textContent);
+      const press = (keyCode, options) =>
+        fireEvent.keyDown(document.activeElement, { keyCode, ...options });
+      const focus = (element) => {
+        element.focus();
+        fireEvent.focus(element);
+      };
+      const status = () => root.getByRole('alert').textContent;
+      return { root, handleDrag, tagElements, texts, press, focus, status };
+    }
+
+    test('moves a tag with alt and the arrow keys', () => {
+      const { handleDrag, tagElements, texts, press, focus, status } =
+        renderReorderableTags();
+      focus(tagElements()[0]);
+      press(KEY_CODES.RIGHT, { altKey: true });
+      expect(handleDrag.calledOnce).to.be.true;
+      expect(handleDrag.firstCall.args).to.deep.equal([fruits[0], 0, 1]);
+      expect(texts()).to.deep.equal(['Mango', 'Apple', 'Kiwi']);
+      expect(document.activeElement).to.equal(tagElements()[1]);
+      expect(status()).to.equal('Tag Apple moved to position 2 of 3.');
+      press(KEY_CODES.RIGHT, { altKey: true });
+      press(KEY_CODES.RIGHT, { altKey: true });
+      expect(handleDrag.calledTwice).to.be.true;
+      expect(texts()).to.deep.equal(['Mango', 'Kiwi', 'Apple']);
+      press(KEY_CODES.LEFT, { altKey: true });
+      expect(texts()).to.deep.equal(['Mango', 'Apple', 'Kiwi']);
+      expect(document.activeElement).to.equal(tagElements()[1]);
+    });
+
+    test('grabs, moves and drops a tag with the keyboard', () => {
+      const { root, handleDrag, tagElements, texts, press, focus, status } =
+        renderReorderableTags();
+      focus(tagElements()[1]);
+      press(KEY_CODES.SPACE);
+      expect(tagElements()[1].classList.contains('ReactTags__tagGrabbed')).to.be
+        .true;
+      expect(status()).to.have.string('Tag Mango grabbed, position 2 of 3.');
+      press(KEY_CODES.LEFT);
+      expect(texts()).to.deep.equal(['Mango', 'Apple', 'Kiwi']);
+      press(KEY_CODES.END);
+      expect(texts()).to.deep.equal(['Apple', 'Kiwi', 'Mango']);
+      expect(status()).to.equal('Tag Mango moved to position 3 of 3.');
+      press(KEY_CODES.HOME);
+      expect(texts()).to.deep.equal(['Mango', 'Apple', 'Kiwi']);
+      expect(handleDrag.callCount).to.equal(3);
+      press(KEY_CODES.SPACE);
+      expect(status()).to.equal('Tag Mango dropped at position 1 of 3.');
+      expect(root.container.querySelector('.ReactTags__tagGrabbed')).to.be.null;
+      // arrows navigate again once the tag is dropped
+      press(KEY_CODES.RIGHT);
+      expect(handleDrag.callCount).to.equal(3);
+      expect(document.activeElement).to.equal(tagElements()[1]);
+    });
+
+    test('drops a grabbed tag with Enter', () => {
+      const { tagElements, press, focus, status } = renderReorderableTags();
+      focus(tagElements()[0]);
+      press(KEY_CODES.SPACE);
+      press(KEY_CODES.ENTER);
+      expect(status()).to.equal('Tag Apple dropped at position 1 of 3.');
+    });
+
+    test('puts the tag back when reordering is cancelled', () => {
+      const { handleDrag, tagElements, texts, press, focus, status } =
+        renderReorderableTags();
+      focus(tagElements()[0]);
+      press(KEY_CODES.SPACE);
+      press(KEY_CODES.RIGHT);
+      press(KEY_CODES.RIGHT);
+      press(KEY_CODES.ESCAPE);
+      expect(handleDrag.lastCall.args).to.deep.equal([fruits[0], 2, 0]);
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+      expect(document.activeElement).to.equal(tagElements()[0]);
+      expect(status()).to.equal(
+        'Reordering cancelled, tag Apple returned to position 1 of 3.'
+      );
+    });
+
+    test('drops the tag when focus leaves the tags', () => {
+      const { root, tagElements, press, focus } = renderReorderableTags();
+      focus(tagElements()[0]);
+      press(KEY_CODES.SPACE);
+      fireEvent.blur(tagElements()[0]);
+      expect(root.container.querySelector('.ReactTags__tagGrabbed')).to.be.null;
+    });
+
+    test('does not reorder when dragging is not allowed', () => {
+      [{ readOnly: true }, { allowDragDrop: false }].forEach((props) => {
+        const { root, handleDrag, tagElements, texts, press, focus } =
+          renderReorderableTags(props);
+        focus(tagElements()[0]);
+        press(KEY_CODES.SPACE);
+        press(KEY_CODES.RIGHT, { altKey: true });
+        expect(handleDrag.called).to.be.false;
+        expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+        expect(document.activeElement).to.equal(tagElements()[1]);
+        root.unmount();
+      });
+    });
+
+    test('does not reorder without handleDrag', () => {
+      const { getAllByRole } = render(<PureReactTags tags={fruits} />);
+      const tag = getAllByRole('listitem')[0];
+      tag.focus();
+      fireEvent.focus(tag);
+      fireEvent.keyDown(tag, { keyCode: KEY_CODES.SPACE });
+      expect(tag.classList.contains('ReactTags__tagGrabbed')).to.be.false;
+    });
+  });
+
+  describe('Test uncontrolled mode', () => {
+    const fruits = ['Apple', 'Mango', 'Kiwi'].map((text) => ({
+      id: text,
+      text,
+    }));
+
+    function renderUncontrolled(props) {
+      const onChange = spy();
+      const root = render(
+        <PureReactTags defaultTags={fruits} onChange={onChange} {...props} />
+      );
+      const input = root.queryByRole('combobox');
+      const texts = () =>
+        root
+          .queryAllByRole('listitem')
+          .map((tag) => tag.firstChild.textContent);
+      const focusTag = (index) => {
+        const tag = root.getAllByRole('listitem')[index];
+        tag.focus();
+        fireEvent.focus(tag);
+        return tag;
+      };
+      return { root, input, onChange, texts, focusTag };
+    }
+
+    test('renders the default tags', () => {
+      const { texts, onChange } = renderUncontrolled();
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+      expect(onChange.called).to.be.false;
+    });
+
+    test('starts without tags', () => {
+      const { texts } = renderUncontrolled({ defaultTags: undefined });
+      expect(texts()).to.deep.equal([]);
+    });
+
+    test('adds tags', () => {
+      const handleAddition = spy();
+      const { input, texts, onChange } = renderUncontrolled({
+        handleAddition,
+      });
+      fireEvent.change(input, { target: { value: 'Lime' } });
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      const lime = { id: 'Lime', text: 'Lime' };
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi', 'Lime']);
+      expect(handleAddition.calledOnceWith(lime)).to.be.true;
+      expect(onChange.calledOnce).to.be.true;
+      expect(onChange.firstCall.args).to.deep.equal([
+        [...fruits, lime],
+        { action: 'add', tag: lime, index: 3 },
+      ]);
+    });
+
+    test('adds every pasted tag', () => {
+      const { input, texts, onChange } = renderUncontrolled({
+        delimiters: [...KEYS.ENTER, KEYS.COMMA],
+      });
+      fireEvent.paste(input, {
+        clipboardData: { getData: () => 'Lime,Pear,Apple' },
+      });
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi', 'Lime', 'Pear']);
+      expect(onChange.callCount).to.equal(2);
+      expect(onChange.secondCall.args[1].index).to.equal(4);
+    });
+
+    test('deletes tags', () => {
+      const handleDelete = spy();
+      const { root, texts, onChange } = renderUncontrolled({ handleDelete });
+      fireEvent.click(root.container.querySelectorAll('.ReactTags__remove')[1]);
+      expect(texts()).to.deep.equal(['Apple', 'Kiwi']);
+      expect(handleDelete.calledOnce).to.be.true;
+      expect(handleDelete.firstCall.args[0]).to.equal(1);
+      expect(onChange.firstCall.args).to.deep.equal([
+        [fruits[0], fruits[2]],
+        { action: 'delete', tag: fruits[1], index: 1 },
+      ]);
+    });
+
+    test('deletes several selected tags', () => {
+      const handleDeleteTags = spy();
+      const { texts, onChange, focusTag } = renderUncontrolled({
+        handleDeleteTags,
+      });
+      const tag = focusTag(0);
+      fireEvent.keyDown(tag, { keyCode: 39, shiftKey: true });
+      fireEvent.keyDown(document.activeElement, { keyCode: 46 });
+      expect(handleDeleteTags.firstCall.args[0]).to.deep.equal([0, 1]);
+      expect(texts()).to.deep.equal(['Kiwi']);
+      expect(onChange.args.map((args) => args[1].index)).to.deep.equal([1, 0]);
+      expect(onChange.lastCall.args[0]).to.deep.equal([fruits[2]]);
+    });
+
+    test('reorders tags without handleDrag', () => {
+      const { texts, onChange, focusTag } = renderUncontrolled();
+      const tag = focusTag(0);
+      fireEvent.keyDown(tag, { keyCode: 39, altKey: true });
+      expect(texts()).to.deep.equal(['Mango', 'Apple', 'Kiwi']);
+      expect(onChange.firstCall.args).to.deep.equal([
+        [fruits[1], fruits[0], fruits[2]],
+        { action: 'reorder', tag: fruits[0], index: 1, previousIndex: 0 },
+      ]);
+    });
+
+    test('updates edited tags without handleTagUpdate', () => {
+      const { root, texts, onChange } = renderUncontrolled({ editable: true });
+      fireEvent.doubleClick(root.getAllByRole('listitem')[2]);
+      const editInput = root.getByLabelText('Edit tag Kiwi');
+      fireEvent.change(editInput, { target: { value: 'Lime' } });
+      fireEvent.keyDown(editInput, { keyCode: ENTER_ARROW_KEY_CODE });
+      const lime = { id: 'Lime', text: 'Lime' };
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Lime']);
+      expect(onChange.firstCall.args).to.deep.equal([
+        [fruits[0], fruits[1], lime],
+        { action: 'update', tag: lime, index: 2 },
+      ]);
+    });
+
+    test('validates against the current tags', () => {
+      const validate = spy();
+      const { input } = renderUncontrolled({ validate });
+      fireEvent.change(input, { target: { value: 'Lime' } });
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(validate.firstCall.args[1]).to.deep.equal(fruits);
+    });
+
+    test('applies every change of one event to controlled tags', () => {
+      let latestTags;
+      function Parent() {
+        const [tags, setTags] = React.useState(fruits.slice(0, 1));
+        latestTags = tags;
+        return (
+          <PureReactTags
+            tags={tags}
+            onChange={setTags}
+            delimiters={[...KEYS.ENTER, KEYS.COMMA]}
+          />
+        );
+      }
+      const root = render(<Parent />);
+      const labels = () => latestTags.map((tag) => tag.text);
+      fireEvent.paste(root.getByRole('combobox'), {
+        clipboardData: { getData: () => 'Lime,Pear,Kiwi' },
+      });
+      expect(labels()).to.deep.equal(['Apple', 'Lime', 'Pear', 'Kiwi']);
+
+      const tag = root.getAllByRole('listitem')[1];
+      tag.focus();
+      fireEvent.focus(tag);
+      fireEvent.keyDown(tag, { keyCode: 39, shiftKey: true });
+      fireEvent.keyDown(document.activeElement, { keyCode: 46 });
+      expect(labels()).to.deep.equal(['Apple', 'Kiwi']);
+    });
+
+    test('reports changes of controlled tags through onChange', () => {
+      const onChange = spy();
+      const root = render(
+        <PureReactTags tags={fruits} onChange={onChange} editable />
+      );
+      const input = root.getByRole('combobox');
+      fireEvent.change(input, { target: { value: 'Lime' } });
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(onChange.firstCall.args[0]).to.have.length(4);
+      // the parent owns the tags
+      expect(root.getAllByRole('listitem')).to.have.length(3);
+      // optional handlers are not required with onChange
+      const tag = root.getAllByRole('listitem')[0];
+      tag.focus();
+      fireEvent.focus(tag);
+      fireEvent.keyDown(tag, { keyCode: 39, altKey: true });
+      expect(onChange.secondCall.args[1].action).to.equal('reorder');
+      fireEvent.doubleClick(tag);
+      expect(root.getByLabelText('Edit tag Apple')).to.exist;
+    });
+  });
+
+  describe('Test form integration', () => {
+    const fruits = ['Apple', 'Mango'].map((text) => ({ id: text, text }));
+
+    function renderInForm(props) {
+      const root = render(
+        <form>
+          <PureReactTags
+            defaultTags={fruits}
+            hiddenInputName="fruits"
+            {...props}
+          />
+        </form>
+      );
+      const form = root.container.querySelector('form');
+      const values = () =>
+        Array.from(form.querySelectorAll('input[type="hidden"]')).map(
+          (input) => [input.name, input.value]
+        );
+      return { root, form, values, input: root.queryByRole('combobox') };
+    }
+
+    test('renders no hidden inputs without hiddenInputName', () => {
+      const { values } = renderInForm({ hiddenInputName: undefined });
+      expect(values()).to.deep.equal([]);
+    });
+
+    test('renders a hidden input per tag', () => {
+      const { values, input } = renderInForm({ readOnly: false });
+      expect(values()).to.deep.equal([
+        ['fruits', 'Apple'],
+        ['fruits', 'Mango'],
+      ]);
+      fireEvent.change(input, { target: { value: 'Kiwi' } });
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(values()[2]).to.deep.equal(['fruits', 'Kiwi']);
+    });
+
+    test('renders the hidden inputs when readOnly', () => {
+      const { values } = renderInForm({ readOnly: true });
+      expect(values()).to.have.length(2);
+    });
+
+    test('serializes the tags into a single hidden input', () => {
+      const tags = [
+        { id: '1', text: 'Apple' },
+        { id: '2', text: 'Mango' },
+      ];
+      const formats = [
+        ['comma', 'Apple,Mango'],
+        ['ids', '1,2'],
+        ['json', JSON.stringify(tags)],
+        [(value) => value.map((tag) => tag.text).join('|'), 'Apple|Mango'],
+      ];
+      formats.forEach(([hiddenInputFormat, expected]) => {
+        const { values, root } = renderInForm({
+          defaultTags: tags,
+          hiddenInputFormat,
+        });
+        expect(values()).to.deep.equal([['fruits', expected]]);
+        root.unmount();
+      });
+    });
+
+    test('restores the initial tags when the form is reset', () => {
+      const onChange = spy();
+      const { root, form, input } = renderInForm({ onChange });
+      fireEvent.change(input, { target: { value: 'Kiwi' } });
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      fireEvent.change(input, { target: { value: 'Li' } });
+      expect(root.getAllByRole('listitem')).to.have.length(3);
+
+      fireEvent.reset(form);
+      expect(
+        root.getAllByRole('listitem').map((tag) => tag.firstChild.textContent)
+      ).to.deep.equal(['Apple', 'Mango']);
+      expect(onChange.lastCall.args).to.deep.equal([
+        fruits,
+        { action: 'reset' },
+      ]);
+    });
+
+    test('reports the initial controlled tags when the form is reset', () => {
+      const onChange = spy();
+      const { root, form } = renderInForm({
+        defaultTags: undefined,
+        tags: fruits,
+        onChange,
+      });
+      root.rerender(
+        <form>
+          <PureReactTags tags={[fruits[0]]} onChange={onChange} />
+        </form>
+      );
+      fireEvent.reset(form);
+      expect(onChange.calledOnceWith(fruits, { action: 'reset' })).to.be.true;
+    });
+
+    test('restores controlled tags through the handlers without onChange', () => {
+      let latestTags;
+      function Parent() {
+        const [tags, setTags] = React.useState(fruits);
+        latestTags = tags;
+        return (
+          <form>
+            <PureReactTags
+              tags={tags}
+              handleAddition={(tag, index) =>
+                setTags((current) => [
+                  ...current.slice(0, index),
+                  tag,
+                  ...current.slice(index),
+                ])
+              }
+              handleDelete={(index) =>
+                setTags((current) => current.filter((tag, i) => i !== index))
+              }
+            />
+          </form>
+        );
+      }
+      const root = render(<Parent />);
+      const input = root.getByRole('combobox');
+      fireEvent.change(input, { target: { value: 'Kiwi' } });
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      fireEvent.click(root.container.querySelectorAll('.ReactTags__remove')[0]);
+      expect(latestTags.map((tag) => tag.text)).to.deep.equal([
+        'Mango',
+        'Kiwi',
+      ]);
+      fireEvent.reset(root.container.querySelector('form'));
+      expect(latestTags).to.deep.equal(fruits);
+    });
+
+    test('blocks submission without tags when required', () => {
+      const { root, form, input } = renderInForm({
+        defaultTags: [],
+        required: true,
+      });
+      expect(input.getAttribute('aria-required')).to.equal('true');
+      expect(form.checkValidity()).to.be.false;
+      expect(input.validationMessage).to.equal('Please add a tag.');
+
+      fireEvent.change(input, { target: { value: 'Kiwi' } });
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(form.checkValidity()).to.be.true;
+
+      fireEvent.click(root.container.querySelector('.ReactTags__remove'));
+      expect(form.checkValidity()).to.be.false;
+    });
+
+    test('blocks submission with fewer than minTags tags', () => {
+      const { form, input } = renderInForm({
+        defaultTags: [fruits[0]],
+        minTags: 2,
+        messages: { tooFewTags: 'Add {count} fruits' },
+      });
+      expect(input.getAttribute('aria-required')).to.be.null;
+      expect(input.validationMessage).to.equal('Add 2 fruits');
+
+      fireEvent.change(input, { target: { value: 'Kiwi' } });
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(form.checkValidity()).to.be.true;
+    });
+
+    test('allows an empty value without required like minlength', () => {
+      const { form } = renderInForm({ defaultTags: [], minTags: 2 });
+      expect(form.checkValidity()).to.be.true;
+    });
+  });
+
+  describe('Test creationPolicy', () => {
+    const colors = ['Red', 'Green', 'Blue'].map((text) => ({
+      id: text.toLowerCase(),
+      text,
+    }));
+
+    function renderWithPolicy(props) {
+      const onChange = spy();
+      const root = render(
+        <PureReactTags
+          suggestions={colors}
+          onChange={onChange}
+          delimiters={[...KEYS.ENTER, KEYS.COMMA]}
+          {...props}
+        />
+      );
+      const input = root.getByRole('combobox');
+      input.focus();
+      fireEvent.focus(input);
+      const type = (value) => {
+        fireEvent.change(input, { target: { value } });
+        fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      };
+      const texts = () =>
+        root
+          .queryAllByRole('listitem')
+          .map((tag) => tag.firstChild.textContent);
+      return { root, input, onChange, type, texts };
+    }
+
+    test('adds free text by default', () => {
+      const { type, texts } = renderWithPolicy();
+      type('Purple');
+      expect(texts()).to.deep.equal(['Purple']);
+    });
+
+    describe('suggestionsOnly', () => {
+      test('maps free text to the matching suggestion', () => {
+        const { type, texts, onChange } = renderWithPolicy({
+          creationPolicy: 'suggestionsOnly',
+        });
+        type('green');
+        expect(texts()).to.deep.equal(['Green']);
+        expect(onChange.firstCall.args[1].tag).to.equal(colors[1]);
+      });
+
+      test('rejects free text that is not a suggestion', () => {
+        const { root, input, type, texts, onChange } = renderWithPolicy({
+          creationPolicy: 'suggestionsOnly',
+        });
+        type('Purple');
+        expect(texts()).to.deep.equal([]);
+        expect(onChange.called).to.be.false;
+        expect(input.value).to.equal('Purple');
+        expect(
+          root.container.querySelector('.ReactTags__error').textContent
+        ).to.equal('Not one of the suggestions: Purple');
+      });
+
+      test('maps free text to the best match of the matchStrategy', () => {
+        const { root, input, type, texts } = renderWithPolicy({
+          creationPolicy: 'suggestionsOnly',
+          matchStrategy: 'fuzzy',
+          suggestions: [
+            { id: 'DE', text: 'Germany' },
+            { id: 'GR', text: 'Greece' },
+          ],
+        });
+        type('Germny');
+        expect(texts()).to.deep.equal(['Germany']);
+        fireEvent.paste(input, {
+          clipboardData: { getData: () => 'Grece,Purple' },
+        });
+        expect(texts()).to.deep.equal(['Germany', 'Greece']);
+        expect(
+          root.container.querySelector('.ReactTags__error').textContent
+        ).to.equal('Not one of the suggestions: Purple');
+      });
+
+      test('maps free text to the autocompleted suggestion', () => {
+        const { type, texts } = renderWithPolicy({
+          creationPolicy: 'suggestionsOnly',
+          autocomplete: true,
+        });
+        type('Bl');
+        expect(texts()).to.deep.equal(['Blue']);
+      });
+
+      test('adds selected suggestions', () => {
+        const { root, input, texts } = renderWithPolicy({
+          creationPolicy: 'suggestionsOnly',
+        });
+        fireEvent.change(input, { target: { value: 'Re' } });
+        fireEvent.mouseDown(root.getAllByRole('option')[0]);
+        expect(texts()).to.deep.equal(['Red']);
+      });
+
+      test('only pastes suggestions', () => {
+        const { root, input, texts } = renderWithPolicy({
+          creationPolicy: 'suggestionsOnly',
+        });
+        fireEvent.paste(input, {
+          clipboardData: { getData: () => 'red,Purple,BLUE,Pink' },
+        });
+        expect(texts()).to.deep.equal(['Red', 'Blue']);
+        expect(
+          root.container.querySelector('.ReactTags__error').textContent
+        ).to.equal('Not one of the suggestions: Purple, Pink');
+      });
+
+      test('matches against loaded suggestions', async () => {
+        const { input, texts } = renderWithPolicy({
+          creationPolicy: 'suggestionsOnly',
+          suggestions: [],
+          loadSuggestions: () => Promise.resolve(colors),
+          loadSuggestionsDebounce: 0,
+        });
+        fireEvent.change(input, { target: { value: 'Green' } });
+        await act(() => new Promise((resolve) => setTimeout(resolve, 10)));
+        fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+        expect(texts()).to.deep.equal(['Green']);
+      });
+    });
+
+    describe('confirm', () => {
+      test('offers an option creating the query', () => {
+        const { root, input } = renderWithPolicy({
+          creationPolicy: 'confirm',
+        });
+        fireEvent.change(input, { target: { value: 'Bl' } });
+        const options = root.getAllByRole('option');
+        expect(options.map((option) => option.textContent)).to.deep.equal([
+          'Blue',
+          'Create “Bl”',
+        ]);
+        expect(options[1].className).to.equal('ReactTags__createSuggestion');
+
+        fireEvent.change(input, { target: { value: 'blue' } });
+        expect(root.getAllByRole('option')).to.have.length(1);
+      });
+
+      test('asks for confirmation before adding free text', () => {
+        const { root, input, type, texts, onChange } = renderWithPolicy({
+          creationPolicy: 'confirm',
+        });
+        type('Purple');
+        expect(texts()).to.deep.equal([]);
+        const option = root.getByRole('option');
+        expect(option.getAttribute('aria-selected')).to.equal('true');
+        expect(option.className).to.contain('ReactTags__activeSuggestion');
+        expect(root.getByRole('alert').textContent).to.equal('Create “Purple”');
+
+        fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+        expect(texts()).to.deep.equal(['Purple']);
+        expect(onChange.firstCall.args[1].tag).to.deep.equal({
+          id: 'Purple',
+          text: 'Purple',
+        });
+      });
+
+      test('creates a tag by clicking the option', () => {
+        const { root, input, texts } = renderWithPolicy({
+          creationPolicy: 'confirm',
+        });
+        fireEvent.change(input, { target: { value: 'Purple' } });
+        fireEvent.mouseDown(root.getByRole('option'));
+        expect(texts()).to.deep.equal(['Purple']);
+      });
+
+      test('navigates to the option with the arrow keys', () => {
+        const { root, input, texts } = renderWithPolicy({
+          creationPolicy: 'confirm',
+        });
+        fireEvent.change(input, { target: { value: 'Bl' } });
+        fireEvent.keyDown(input, { keyCode: KEYS.UP_ARROW });
+        expect(
+          root.getAllByRole('option')[1].getAttribute('aria-selected')
+        ).to.equal('true');
+        fireEvent.keyDown(input, { keyCode: DOWN_ARROW_KEY_CODE });
+        fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+        expect(texts()).to.deep.equal(['Blue']);
+      });
+
+      test('hides the option on escape', () => {
+        const { root, input } = renderWithPolicy({
+          creationPolicy: 'confirm',
+        });
+        fireEvent.change(input, { target: { value: 'Purple' } });
+        fireEvent.keyDown(input, { keyCode: KEYS.ESCAPE });
+        expect(root.queryByRole('option')).to.be.null;
+      });
+
+      test('does not offer existing tags', () => {
+        const { root, type, input } = renderWithPolicy({
+          creationPolicy: 'confirm',
+          defaultTags: [{ id: 'Purple', text: 'Purple' }],
+        });
+        type('Purple');
+        expect(root.queryByRole('option')).to.be.null;
+        expect(input.value).to.equal('Purple');
+      });
+
+      test('rejects pasted free text', () => {
+        const { input, texts } = renderWithPolicy({
+          creationPolicy: 'confirm',
+        });
+        fireEvent.paste(input, {
+          clipboardData: { getData: () => 'Red,Purple' },
+        });
+        expect(texts()).to.deep.equal(['Red']);
+      });
+    });
+  });
+
+  describe('Test grouped suggestions', () => {
+    const suggestions = [
+      { id: 'Mango', text: 'Mango', group: 'Global' },
+      { id: 'Mandarin', text: 'Mandarin', group: 'Recent' },
+      { id: 'Mangosteen', text: 'Mangosteen', group: 'Global' },
+    ];
+
+    function renderGrouped(props) {
+      const root = render(
+        <PureReactTags suggestions={suggestions} tags={[]} {...props} />
+      );
+      const input = root.getByRole('combobox');
+      input.focus();
+      fireEvent.focus(input);
+      fireEvent.change(input, { target: { value: 'Man' } });
+      const options = () =>
+        root.getAllByRole('option').map((option) => option.textContent);
+      const activeOption = () =>
+        root.container.querySelector('.ReactTags__activeSuggestion')
+          .textContent;
+      return { root, input, options, activeOption };
+    }
+
+    test('renders the suggestions of a group together', () => {
+      const { root, options } = renderGrouped();
+      expect(
+        root.getAllByRole('group').map((group) => group.textContent)
+      ).to.deep.equal(['GlobalMangoMangosteen', 'RecentMandarin']);
+      expect(options()).to.deep.equal(['Mango', 'Mangosteen', 'Mandarin']);
+      expect(
+        root.container.querySelectorAll('.ReactTags__suggestionsGroupHeader')
+      ).to.have.length(2);
+    });
+
+    test('moves through the groups with the arrow keys', () => {
+      const handleAddition = spy();
+      const { input, activeOption } = renderGrouped({ handleAddition });
+      fireEvent.keyDown(input, { keyCode: DOWN_ARROW_KEY_CODE });
+      fireEvent.keyDown(input, { keyCode: DOWN_ARROW_KEY_CODE });
+      fireEvent.keyDown(input, { keyCode: DOWN_ARROW_KEY_CODE });
+      expect(activeOption()).to.equal('Mandarin');
+      expect(input.getAttribute('aria-activedescendant')).to.match(
+        /-option-2$/
+      );
+      // wraps around to the first group
+      fireEvent.keyDown(input, { keyCode: DOWN_ARROW_KEY_CODE });
+      expect(activeOption()).to.equal('Mango');
+      fireEvent.keyDown(input, { keyCode: KEYS.UP_ARROW });
+      expect(activeOption()).to.equal('Mandarin');
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(handleAddition.calledOnceWith(suggestions[1])).to.be.true;
+    });
+
+    test('groups with groupBy and renderGroupHeader', () => {
+      const { root, options } = renderGrouped({
+        groupBy: (suggestion) => suggestion.text.length > 5,
+        renderGroupHeader: (isLong) => (isLong ? 'Long' : 'Short'),
+      });
+      expect(options()).to.deep.equal(['Mango', 'Mandarin', 'Mangosteen']);
+      expect(
+        root.getAllByRole('group').map((group) => group.firstChild.textContent)
+      ).to.deep.equal(['Short', 'Long']);
+    });
+
+    test('groups loaded suggestions', async () => {
+      const { input, options } = renderGrouped({
+        suggestions: [],
+        loadSuggestions: () => Promise.resolve(suggestions),
+        loadSuggestionsDebounce: 0,
+      });
+      fireEvent.change(input, { target: { value: 'Mang' } });
+      await act(() => new Promise((resolve) => setTimeout(resolve, 10)));
+      expect(options()).to.deep.equal(['Mango', 'Mangosteen', 'Mandarin']);
+    });
+  });
+
+  describe('Test large suggestion lists', () => {
+    const places = Array.from({ length: 2000 }, (value, i) => ({
+      id: `place${i}`,
+      text: `Place ${i}`,
+    }));
+
+    function renderPlaces(props) {
+      const root = render(
+        <PureReactTags suggestions={places} tags={[]} {...props} />
+      );
+      const input = root.getByRole('combobox');
+      input.focus();
+      fireEvent.focus(input);
+      fireEvent.change(input, { target: { value: 'Place' } });
+      return { root, input };
+    }
+
+    test('caps the suggestions with maxSuggestions', () => {
+      const { root, input } = renderPlaces({ maxSuggestions: 10 });
+      expect(root.getAllByRole('option')).to.have.length(10);
+      fireEvent.keyDown(input, { keyCode: KEYS.UP_ARROW });
+      const options = root.getAllByRole('option');
+      expect(options[9].getAttribute('aria-selected')).to.equal('true');
+    });
+
+    test('renders the suggestions in view when virtualized', () => {
+      const { root, input } = renderPlaces({
+        virtualizeSuggestions: { height: 100, rowHeight: 25, overscan: 1 },
+      });
+      expect(root.getAllByRole('option')).to.have.length(5);
+
+      // wraps around to the last suggestion, which is scrolled into view
+      fireEvent.keyDown(input, { keyCode: KEYS.UP_ARROW });
+      const activeId = input.getAttribute('aria-activedescendant');
+      const active = document.getElementById(activeId);
+      expect(active.textContent).to.equal('Place 1999');
+      expect(active.getAttribute('aria-posinset')).to.equal('2000');
+      expect(root.getByRole('listbox').scrollTop).to.equal(2000 * 25 - 100);
+    });
+  });
+
+  describe('Test locale and sensitivity', () => {
+    const cities = [
+      { id: 'Curaçao', text: 'Curaçao' },
+      { id: 'İstanbul', text: 'İstanbul' },
+      { id: 'Izmir', text: 'Izmir' },
+    ];
+
+    function renderCities(props) {
+      const root = render(
+        <PureReactTags suggestions={cities} defaultTags={[]} {...props} />
+      );
+      const input = root.getByRole('combobox');
+      input.focus();
+      fireEvent.focus(input);
+      return { root, input };
+    }
+
+    function typeQuery(input, value) {
+      fireEvent.change(input, { target: { value } });
+    }
+
+    function getOptionLabels(root) {
+      return root.queryAllByRole('option').map((option) => option.textContent);
+    }
+
+    test('ignores accents with the base sensitivity', () => {
+      const { root, input } = renderCities({ sensitivity: 'base' });
+      typeQuery(input, 'curac');
+      expect(getOptionLabels(root)).to.deep.equal(['Curaçao']);
+      expect(
+        root.getByRole('option').querySelector('mark').textContent
+      ).to.equal('Curaç');
+    });
+
+    test('keeps accents by default', () => {
+      const { root, input } = renderCities();
+      typeQuery(input, 'curac');
+      expect(getOptionLabels(root)).to.deep.equal([]);
+    });
+
+    test('follows the case rules of the locale', () => {
+      const { root, input } = renderCities({ locale: 'tr' });
+      typeQuery(input, 'ist');
+      expect(getOptionLabels(root)).to.deep.equal(['İstanbul']);
+      typeQuery(input, 'izm');
+      expect(getOptionLabels(root)).to.deep.equal([]);
+      typeQuery(input, 'ızm');
+      expect(getOptionLabels(root)).to.deep.equal(['Izmir']);
+    });
+
+    test('highlights suggestions of handleFilterSuggestions', () => {
+      const { root, input } = renderCities({
+        locale: 'tr',
+        handleFilterSuggestions: (query, suggestions) => suggestions,
+      });
+      typeQuery(input, 'ist');
+      const marks = root.container.querySelectorAll('mark');
+      expect(Array.from(marks).map((mark) => mark.textContent)).to.deep.equal([
+        'İst',
+      ]);
+    });
+
+    test('detects duplicate tags with the sensitivity', () => {
+      const onChange = spy();
+      const { input } = renderCities({
+        sensitivity: 'base',
+        defaultTags: [{ id: 'Curaçao', text: 'Curaçao' }],
+        onChange,
+      });
+      typeQuery(input, 'CURACAO');
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(onChange.called).to.be.false;
+
+      typeQuery(input, 'CURAÇAO');
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(onChange.called).to.be.false;
+    });
+
+    test('allows tags differing by accents by default', () => {
+      const onChange = spy();
+      const { input } = renderCities({
+        defaultTags: [{ id: 'Curaçao', text: 'Curaçao' }],
+        onChange,
+      });
+      typeQuery(input, 'CURACAO');
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(onChange.calledOnce).to.be.true;
+    });
+
+    test('maps typed tags to suggestions with the sensitivity', () => {
+      const onChange = spy();
+      const { input } = renderCities({
+        sensitivity: 'base',
+        creationPolicy: 'suggestionsOnly',
+        onChange,
+      });
+      typeQuery(input, 'curacao');
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(onChange.getCall(0).args[0]).to.deep.equal([cities[0]]);
+    });
+  });
+
+  describe('Test duplicatePolicy', () => {
+    const fruits = [
+      { id: '1', text: 'Apple' },
+      { id: '2', text: 'Mango' },
+    ];
+
+    function renderFruits(props) {
+      const root = render(
+        <PureReactTags defaultTags={fruits} autofocus={false} {...props} />
+      );
+      const input = root.getByRole('combobox');
+      const addTag = (value) => {
+        fireEvent.change(input, { target: { value } });
+        fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      };
+      const texts = () =>
+        root.getAllByRole('listitem').map((tag) => tag.firstChild.textContent);
+      return { root, input, addTag, texts };
+    }
+
+    test('compares tags by id by default', () => {
+      const { addTag, texts } = renderFruits();
+      addTag('apple');
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'apple']);
+    });
+
+    test('compares tags by label', () => {
+      const onDuplicate = spy();
+      const { root, input, addTag, texts } = renderFruits({
+        duplicatePolicy: { compareBy: 'label' },
+        onDuplicate,
+      });
+      addTag('MANGO');
+      expect(texts()).to.deep.equal(['Apple', 'Mango']);
+      expect(onDuplicate.calledOnce).to.be.true;
+      expect(onDuplicate.getCall(0).args).to.deep.equal([
+        { id: 'MANGO', text: 'MANGO' },
+        1,
+      ]);
+      expect(input.value).to.equal('MANGO');
+      expect(root.container.querySelector('.sr-only').textContent).to.equal(
+        'Tag Mango is already added.'
+      );
+    });
+
+    test('compares tags with a custom key and sensitivity', () => {
+      const { addTag, texts } = renderFruits({
+        duplicatePolicy: {
+          compareBy: (tag) => tag.text.trim(),
+          sensitivity: 'case',
+        },
+      });
+      addTag('Apple ');
+      addTag('apple');
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'apple']);
+    });
+
+    test('hides suggestions duplicating a tag', () => {
+      const { root, input } = renderFruits({
+        duplicatePolicy: { compareBy: 'label' },
+        suggestions: [
+          { id: 'apple', text: 'Apple' },
+          { id: 'apricot', text: 'Apricot' },
+        ],
+      });
+      input.focus();
+      fireEvent.focus(input);
+      fireEvent.change(input, { target: { value: 'ap' } });
+      expect(
+        root.getAllByRole('option').map((option) => option.textContent)
+      ).to.deep.equal(['Apricot']);
+    });
+
+    test('computes the keys of the suggestions once', () => {
+      const compareBy = spy((tag) => tag.text);
+      const suggestions = ['Apricot', 'Avocado', 'Banana'].map((text) => ({
+        id: text,
+        text,
+      }));
+      const { input } = renderFruits({
+        duplicatePolicy: { compareBy },
+        suggestions,
+      });
+      fireEvent.focus(input);
+      fireEvent.change(input, { target: { value: 'a' } });
+      fireEvent.change(input, { target: { value: 'av' } });
+      fireEvent.change(input, { target: { value: 'a' } });
+      const keyed = compareBy.args.map(([tag]) => tag.text);
+      expect(keyed.filter((text) => text === 'Avocado')).to.have.length(1);
+    });
+
+    test('highlights the existing tag for a moment', async () => {
+      const { root, addTag } = renderFruits({
+        duplicatePolicy: { action: 'highlight', highlightDuration: 10 },
+      });
+      addTag('2');
+      const tags = root.getAllByRole('listitem');
+      expect(tags[1].className).to.contain('ReactTags__tagDuplicate');
+      expect(tags[0].className).to.not.contain('ReactTags__tagDuplicate');
+
+      await act(() => new Promise((resolve) => setTimeout(resolve, 20)));
+      expect(root.container.querySelector('.ReactTags__tagDuplicate')).to.equal(
+        null
+      );
+    });
+
+    test('moves the existing tag to the end', () => {
+      const onChange = spy();
+      const { root, input, addTag, texts } = renderFruits({
+        duplicatePolicy: { action: 'moveToEnd' },
+        onChange,
+      });
+      addTag('1');
+      expect(texts()).to.deep.equal(['Mango', 'Apple']);
+      expect(onChange.getCall(0).args[1]).to.deep.equal({
+        action: 'reorder',
+        tag: fruits[0],
+        index: 1,
+        previousIndex: 0,
+      });
+      expect(input.value).to.equal('');
+      expect(root.container.querySelector('.sr-only').textContent).to.equal(
+        'Tag Apple is already added, moved to the end.'
+      );
+
+      addTag('1');
+      expect(onChange.calledOnce).to.be.true;
+      expect(input.value).to.equal('');
+    });
+
+    test('highlights the existing tag when it cannot be moved', () => {
+      const { root, addTag } = renderFruits({
+        tags: fruits,
+        duplicatePolicy: { action: 'moveToEnd' },
+      });
+      addTag('1');
+      const tags = root.getAllByRole('listitem');
+      expect(tags[0].className).to.contain('ReactTags__tagDuplicate');
+      expect(root.container.querySelector('.sr-only').textContent).to.equal(
+        'Tag Apple is already added.'
+      );
+    });
+
+    test('allows duplicates when allowUnique is false', () => {
+      const onDuplicate = spy();
+      const { addTag, texts } = renderFruits({
+        allowUnique: false,
+        onDuplicate,
+      });
+      addTag('1');
+      expect(texts()).to.deep.equal(['Apple', 'Mango', '1']);
+      expect(onDuplicate.called).to.be.false;
+    });
+  });
+
+  describe('Test paste preview', () => {
+    function renderWithPreview(props) {
+      const onChange = spy();
+      const root = render(
+        <PureReactTags
+          defaultTags={[{ id: 'Apple', text: 'Apple' }]}
+          autofocus={false}
+          pasteConfirmThreshold={2}
+          onChange={onChange}
+          {...props}
+        />
+      );
+      const input = root.getByRole('combobox');
+      const paste = (text) =>
+        fireEvent.paste(input, { clipboardData: { getData: () => text } });
+      const texts = () =>
+        root.getAllByRole('listitem').map((tag) => tag.firstChild.textContent);
+      return { root, input, paste, texts, onChange };
+    }
+
+    test('adds pastes up to the threshold right away', () => {
+      const { root, paste, texts } = renderWithPreview();
+      paste('Apple\nBanana\nMango');
+      expect(texts()).to.deep.equal(['Apple', 'Banana', 'Mango']);
+      expect(root.queryByRole('group')).to.equal(null);
+    });
+
+    test('previews larger pastes until they are confirmed', () => {
+      const { root, input, paste, texts, onChange } = renderWithPreview();
+      paste('Banana\tMango\tKiwi');
+      expect(onChange.called).to.be.false;
+      const preview = root.getByRole('group');
+      expect(preview.className).to.equal('ReactTags__pastePreview');
+      expect(preview.getAttribute('aria-label')).to.equal('Add 3 pasted tags?');
+      expect(
+        Array.from(preview.querySelectorAll('li')).map((li) => li.textContent)
+      ).to.deep.equal(['Banana', 'Mango', 'Kiwi']);
+
+      fireEvent.click(root.getByText('Add'));
+      expect(texts()).to.deep.equal(['Apple', 'Banana', 'Mango', 'Kiwi']);
+      expect(root.queryByRole('group')).to.equal(null);
+      expect(document.activeElement).to.equal(input);
+    });
+
+    test('discards a cancelled paste', () => {
+      const { root, input, paste, onChange } = renderWithPreview();
+      paste('Banana\nMango\nKiwi');
+      fireEvent.click(root.getByText('Cancel'));
+      expect(root.queryByRole('group')).to.equal(null);
+      expect(onChange.called).to.be.false;
+
+      paste('Banana\nMango\nKiwi');
+      fireEvent.keyDown(input, { keyCode: KEYS.ESCAPE });
+      expect(root.queryByRole('group')).to.equal(null);
+      expect(onChange.called).to.be.false;
+    });
+  });
+
+  describe('Test string and regular expression delimiters', () => {
+    function renderWithDelimiters(delimiters, props) {
+      const onChange = spy();
+      const root = render(
+        <PureReactTags
+          defaultTags={[]}
+          autofocus={false}
+          delimiters={delimiters}
+          onChange={onChange}
+          {...props}
+        />
+      );
+      const input = root.getByRole('combobox');
+      const texts = () =>
+        root
+          .queryAllByRole('listitem')
+          .map((tag) => tag.firstChild.textContent);
+      return { input, texts, onChange };
+    }
+
+    test('adds a tag when a string delimiter key is pressed', () => {
+      const { input, texts } = renderWithDelimiters([',', 'Enter']);
+      fireEvent.change(input, { target: { value: 'Banana' } });
+      fireEvent.keyDown(input, { key: ',' });
+      fireEvent.change(input, { target: { value: 'Mango' } });
+      fireEvent.keyDown(input, { key: 'Enter' });
+      fireEvent.change(input, { target: { value: 'Kiwi' } });
+      fireEvent.keyDown(input, { key: 'Enter', keyCode: 229 });
+      expect(texts()).to.deep.equal(['Banana', 'Mango']);
+      expect(input.value).to.equal('Kiwi');
+    });
+
+    test('adds a tag when a regular expression delimiter matches', () => {
+      const { input, texts } = renderWithDelimiters(/[;,]/);
+      fireEvent.change(input, { target: { value: 'Banana' } });
+      fireEvent.keyDown(input, { key: ';' });
+      expect(texts()).to.deep.equal(['Banana']);
+    });
+
+    test('splits typed text on delimiters', () => {
+      const { input, texts } = renderWithDelimiters([',', KEYS.COMMA]);
+      fireEvent.change(input, { target: { value: 'Banana,' } });
+      expect(texts()).to.deep.equal(['Banana']);
+      expect(input.value).to.equal('');
+
+      fireEvent.change(input, { target: { value: 'Mango,Kiwi, Li' } });
+      expect(texts()).to.deep.equal(['Banana', 'Mango', 'Kiwi']);
+      expect(input.value).to.equal(' Li');
+    });
+
+    test('keeps a rejected typed tag in the input', () => {
+      const { input, texts } = renderWithDelimiters([','], {
+        validate: () => false,
+      });
+      fireEvent.change(input, { target: { value: 'Banana,' } });
+      expect(texts()).to.deep.equal([]);
+      expect(input.value).to.equal('Banana');
+    });
+
+    test('applies maxTags to typed tags', () => {
+      const onLimitExceeded = spy();
+      const { input, texts } = renderWithDelimiters([','], {
+        maxTags: 2,
+        onLimitExceeded,
+      });
+      fireEvent.change(input, { target: { value: 'Banana,Mango,Kiwi,Lime,' } });
+      expect(texts()).to.deep.equal(['Banana', 'Mango']);
+      expect(onLimitExceeded.args).to.deep.equal([
+        [[{ id: 'Kiwi', text: 'Kiwi' }]],
+        [[{ id: 'Lime', text: 'Lime' }]],
+      ]);
+    });
+
+    test('does not prevent tabbing out of an empty input', () => {
+      const { input } = renderWithDelimiters(['Tab']);
+      // fireEvent returns false when the default action is prevented
+      expect(fireEvent.keyDown(input, { key: 'Tab' })).to.equal(true);
+
+      fireEvent.change(input, { target: { value: 'Banana' } });
+      expect(fireEvent.keyDown(input, { key: 'Tab' })).to.equal(false);
+    });
+  });
+
+  describe('Test renderTag', () => {
+    test('renders custom tag content that can still be removed', () => {
+      const onChange = spy();
+      const root = render(
+        <PureReactTags
+          defaultTags={[
+            { id: 'Apple', text: 'Apple', count: 3 },
+            { id: 'Mango', text: 'Mango', count: 1 },
+          ]}
+          autofocus={false}
+          onChange={onChange}
+          renderTag={({ tag, label, removeButton }) => (
+            <React.Fragment>
+              <strong>{label}</strong>
+              <small>{tag.count}</small>
+              {removeButton}
+            </React.Fragment>
+          )}
+        />
+      );
+      const tags = root.getAllByRole('listitem');
+      expect(tags.map((tag) => tag.textContent)).to.deep.equal([
+        'Apple3×',
+        'Mango1×',
+      ]);
+
+      fireEvent.click(tags[0].querySelector('button'));
+      expect(onChange.getCall(0).args[1].action).to.equal('delete');
+      expect(
+        root.getAllByRole('listitem').map((tag) => tag.firstChild.textContent)
+      ).to.deep.equal(['Mango']);
+    });
+  });
+
+  describe('Test hierarchical suggestions', () => {
+    const places = [
+      {
+        id: 'europe',
+        text: 'Europe',
+        children: [
+          {
+            id: 'germany',
+            text: 'Germany',
+            children: [
+              { id: 'berlin', text: 'Berlin' },
+              { id: 'munich', text: 'Munich' },
+            ],
+          },
+          { id: 'france', text: 'France' },
+        ],
+      },
+      { id: 'asia', text: 'Asia' },
+    ];
+
+    function renderPlaces(props) {
+      const root = render(
+        <PureReactTags suggestions={places} autofocus={false} {...props} />
+      );
+      const input = root.getByRole('combobox');
+      input.focus();
+      fireEvent.focus(input);
+      const keyDown = (keyCode) => fireEvent.keyDown(input, { keyCode });
+      const options = () =>
+        root.queryAllByRole('option').map((option) => option.textContent);
+      const selected = () =>
+        root.getByRole('option', { selected: true }).textContent;
+      const status = () => root.container.querySelector('.sr-only').textContent;
+      const texts = () =>
+        root.getAllByRole('listitem').map((tag) => tag.textContent);
+      return { root, input, keyDown, options, selected, status, texts };
+    }
+
+    test('matches the labels of the ancestors', () => {
+      const { input, options } = renderPlaces();
+      fireEvent.change(input, { target: { value: 'germ' } });
+      expect(options()).to.deep.equal([
+        'Europe › Germany',
+        'Europe › Germany › Berlin',
+        'Europe › Germany › Munich',
+      ]);
+    });
+
+    test('browses the suggestions with the arrow keys', () => {
+      const { root, keyDown, options, selected, status } = renderPlaces();
+      keyDown(KEYS.DOWN_ARROW);
+      expect(options()).to.deep.equal(['Europe', 'Asia']);
+      expect(selected()).to.equal('Europe');
+      expect(status()).to.equal('2 top level suggestions.');
+      expect(root.getAllByRole('option')[0].className).to.contain(
+        'ReactTags__suggestionParent'
+      );
+
+      keyDown(KEYS.RIGHT_ARROW);
+      expect(options()).to.deep.equal(['Europe › Germany', 'Europe › France']);
+      expect(status()).to.equal(
+        'Europe, 2 suggestions. Press left to go back.'
+      );
+
+      keyDown(KEYS.RIGHT_ARROW);
+      expect(options()).to.deep.equal([
+        'Europe › Germany › Berlin',
+        'Europe › Germany › Munich',
+      ]);
+      // leaves have no children to show
+      keyDown(KEYS.RIGHT_ARROW);
+      expect(selected()).to.equal('Europe › Germany › Berlin');
+
+      keyDown(KEYS.LEFT_ARROW);
+      expect(selected()).to.equal('Europe › Germany');
+      keyDown(KEYS.DOWN_ARROW);
+      keyDown(KEYS.LEFT_ARROW);
+      expect(options()).to.deep.equal(['Europe', 'Asia']);
+      expect(selected()).to.equal('Europe');
+    });
+
+    test('adds a browsed suggestion with its path', () => {
+      const { input, keyDown, options, texts } = renderPlaces({
+        pathSeparator: ' / ',
+      });
+      keyDown(KEYS.DOWN_ARROW);
+      keyDown(KEYS.RIGHT_ARROW);
+      keyDown(ENTER_ARROW_KEY_CODE);
+      expect(texts()).to.deep.equal(['Europe / Germany×']);
+      expect(options()).to.deep.equal([]);
+      expect(input.value).to.equal('');
+    });
+
+    test('stops browsing when typing or leaving the input', () => {
+      const { input, keyDown, options } = renderPlaces();
+      keyDown(KEYS.DOWN_ARROW);
+      keyDown(KEYS.RIGHT_ARROW);
+      fireEvent.change(input, { target: { value: 'as' } });
+      expect(options()).to.deep.equal(['Asia']);
+
+      keyDown(KEYS.ESCAPE);
+      fireEvent.change(input, { target: { value: '' } });
+      keyDown(KEYS.DOWN_ARROW);
+      expect(options()).to.deep.equal(['Europe', 'Asia']);
+      fireEvent.blur(input);
+      expect(options()).to.deep.equal([]);
+    });
+
+    test('removes the descendants of an added tag', () => {
+      const onChange = spy();
+      const handleDelete = spy();
+      const { input, keyDown, status, texts } = renderPlaces({
+        defaultTags: [
+          { id: 'berlin', text: 'Berlin' },
+          { id: 'asia', text: 'Asia' },
+          { id: 'france', text: 'France' },
+        ],
+        removeRelatedTags: 'descendants',
+        onChange,
+        handleDelete,
+      });
+      fireEvent.change(input, { target: { value: 'europe' } });
+      keyDown(KEYS.DOWN_ARROW);
+      keyDown(ENTER_ARROW_KEY_CODE);
+
+      expect(texts()).to.deep.equal(['Asia×', 'Europe×']);
+      expect(handleDelete.args.map(([index]) => index)).to.deep.equal([2, 0]);
+      expect(onChange.getCall(0).args[1]).to.deep.equal({
+        action: 'add',
+        tag: { id: 'europe', text: 'Europe' },
+        index: 1,
+        removedTags: [
+          { id: 'berlin', text: 'Berlin' },
+          { id: 'france', text: 'France' },
+        ],
+      });
+      expect(status()).to.equal('2 related tags removed.');
+    });
+
+    test('removes the ancestors of an added tag', () => {
+      const { input, keyDown, texts } = renderPlaces({
+        defaultTags: [
+          { id: 'europe', text: 'Europe' },
+          { id: 'asia', text: 'Asia' },
+        ],
+        removeRelatedTags: 'ancestors',
+      });
+      fireEvent.change(input, { target: { value: 'munich' } });
+      keyDown(KEYS.DOWN_ARROW);
+      keyDown(ENTER_ARROW_KEY_CODE);
+      expect(texts()).to.deep.equal(['Asia×', 'Europe › Germany › Munich×']);
+    });
+
+    test('keeps related tags by default', () => {
+      const { input, keyDown, texts } = renderPlaces({
+        defaultTags: [{ id: 'berlin', text: 'Berlin' }],
+      });
+      fireEvent.change(input, { target: { value: 'germany' } });
+      keyDown(KEYS.DOWN_ARROW);
+      keyDown(ENTER_ARROW_KEY_CODE);
+      expect(texts()).to.deep.equal([
+        'Europe › Germany › Berlin×',
+        'Europe › Germany×',
+      ]);
+    });
+  });
+
+  describe('Test sortTags', () => {
+    const fruits = ['Banana', 'Mango'].map((text) => ({ id: text, text }));
+
+    function renderSortedTags(props) {
+      const root = render(
+        <ReactTags defaultTags={fruits} autofocus={false} {...props} />
+      );
+      const input = root.getByRole('combobox');
+      const addTag = (value) => {
+        fireEvent.change(input, { target: { value } });
+        fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      };
+      const tagElements = () => root.getAllByRole('listitem');
+      const texts = () =>
+        tagElements().map((tag) => tag.firstChild.textContent);
+      return { root, input, addTag, tagElements, texts };
+    }
+
+    test('appends tags in insertion order by default', () => {
+      const { addTag, texts } = renderSortedTags();
+      addTag('Apple');
+      expect(texts()).to.deep.equal(['Banana', 'Mango', 'Apple']);
+    });
+
+    test('inserts tags in alphabetical order', () => {
+      const handleAddition = spy();
+      const onChange = spy();
+      const { addTag, texts } = renderSortedTags({
+        sortTags: 'alpha',
+        handleAddition,
+        onChange,
+      });
+      addTag('cherry');
+      addTag('Apple');
+      addTag('Papaya');
+      expect(texts()).to.deep.equal([
+        'Apple',
+        'Banana',
+        'cherry',
+        'Mango',
+        'Papaya',
+      ]);
+      expect(handleAddition.args.map(([, index]) => index)).to.deep.equal([
+        1, 0, 4,
+      ]);
+      expect(onChange.getCall(0).args[1]).to.deep.equal({
+        action: 'add',
+        tag: { id: 'cherry', text: 'cherry' },
+        index: 1,
+      });
+    });
+
+    test('inserts tags with a comparator', () => {
+      const byLength = (a, b) => a.text.length - b.text.length;
+      const { addTag, texts } = renderSortedTags({
+        defaultTags: fruits.slice().reverse(),
+        sortTags: byLength,
+      });
+      addTag('Fig');
+      addTag('Lemon');
+      addTag('Kiwi');
+      expect(texts()).to.deep.equal([
+        'Fig',
+        'Kiwi',
+        'Mango',
+        'Lemon',
+        'Banana',
+      ]);
+    });
+
+    test('inserts pasted tags in order', () => {
+      const { input, texts } = renderSortedTags({ sortTags: 'alpha' });
+      fireEvent.paste(input, {
+        clipboardData: { getData: () => 'Peach\nApple\nCoconut' },
+      });
+      expect(texts()).to.deep.equal([
+        'Apple',
+        'Banana',
+        'Coconut',
+        'Mango',
+        'Peach',
+      ]);
+    });
+
+    test('passes the index of each pasted tag to handleAddition', () => {
+      let latestTags;
+      function Parent({ sortTags }) {
+        const [tags, setTags] = React.useState(fruits.slice(0, 1));
+        latestTags = tags;
+        return (
+          <PureReactTags
+            tags={tags}
+            sortTags={sortTags}
+            handleAddition={(tag, index) =>
+              setTags((current) => [
+                ...current.slice(0, index),
+                tag,
+                ...current.slice(index),
+              ])
+            }
+            handleDelete={(index) =>
+              setTags((current) => current.filter((tag, i) => i !== index))
+            }
+          />
+        );
+      }
+      Parent.propTypes = { sortTags: PropTypes.string };
+      const labels = () => latestTags.map((tag) => tag.text);
+      const paste = (root, text) => {
+        const input = root.getByRole('combobox');
+        fireEvent.paste(input, { clipboardData: { getData: () => text } });
+        return input;
+      };
+
+      const root = render(<Parent />);
+      const input = paste(root, 'Peach\nApple\nCoconut');
+      expect(labels()).to.deep.equal(['Banana', 'Peach', 'Apple', 'Coconut']);
+      fireEvent.keyDown(input, { keyCode: KEYS.Z, ctrlKey: true });
+      expect(labels()).to.deep.equal(['Banana']);
+      root.unmount();
+
+      paste(render(<Parent sortTags="alpha" />), 'Peach\nApple\nCoconut');
+      expect(labels()).to.deep.equal(['Apple', 'Banana', 'Coconut', 'Peach']);
+    });
+
+    test('does not let sorted tags be reordered', () => {
+      const handleDrag = spy();
+      const { root, tagElements, texts } = renderSortedTags({
+        sortTags: 'alpha',
+        handleDrag,
+      });
+      const tag = tagElements()[0];
+      expect(tag.style.cursor).to.equal('auto');
+      tag.focus();
+      fireEvent.focus(tag);
+      fireEvent.keyDown(tag, { keyCode: KEYS.RIGHT_ARROW, altKey: true });
+      fireEvent.keyDown(tag, { keyCode: KEYS.SPACE });
+      expect(handleDrag.called).to.be.false;
+      expect(texts()).to.deep.equal(['Banana', 'Mango']);
+      expect(root.container.querySelector('.ReactTags__tagGrabbed')).to.be.null;
+    });
+
+    test('highlights duplicates instead of moving them to the end', () => {
+      const { addTag, tagElements, texts } = renderSortedTags({
+        sortTags: 'alpha',
+        duplicatePolicy: { action: 'moveToEnd' },
+      });
+      addTag('Banana');
+      expect(texts()).to.deep.equal(['Banana', 'Mango']);
+      expect(tagElements()[0].className).to.contain('ReactTags__tagDuplicate');
+    });
+  });
+
+  describe('Test undo and redo', () => {
+    const fruits = ['Apple', 'Mango', 'Kiwi'].map((text) => ({
+      id: text,
+      text,
+    }));
+
+    function renderHistory(props, ref) {
+      const root = render(
+        <PureReactTags
+          defaultTags={fruits}
+          autofocus={false}
+          ref={ref}
+          {...props}
+        />
+      );
+      const input = root.getByRole('combobox');
+      const tagElements = () => root.getAllByRole('listitem');
+      const texts = () =>
+        tagElements().map((tag) => tag.firstChild.textContent);
+      const focus = (element) => {
+        element.focus();
+        fireEvent.focus(element);
+      };
+      const press = (keyCode, options) =>
+        fireEvent.keyDown(document.activeElement, { keyCode, ...options });
+      const undo = () => press(KEYS.Z, { ctrlKey: true });
+      const redo = () => press(KEYS.Z, { metaKey: true, shiftKey: true });
+      const status = () => root.getByRole('alert').textContent;
+      return {
+        root,
+        input,
+        tagElements,
+        texts,
+        focus,
+        press,
+        undo,
+        redo,
+        status,
+      };
+    }
+
+    test('undoes and redoes a deletion from the empty input', () => {
+      const onChange = spy();
+      const handleAddition = spy();
+      const handleDelete = spy();
+      const { input, texts, focus, press, undo, redo, status } = renderHistory({
+        onChange,
+        handleAddition,
+        handleDelete,
+      });
+      focus(input);
+      press(KEYS.BACKSPACE);
+      expect(texts()).to.deep.equal(['Apple', 'Mango']);
+
+      undo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+      expect(handleAddition.lastCall.args).to.deep.equal([fruits[2], 2]);
+      expect(onChange.lastCall.args[1]).to.deep.equal({
+        action: 'add',
+        tag: fruits[2],
+        index: 2,
+        history: 'undo',
+      });
+      expect(status()).to.equal('1 change undone.');
+
+      redo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango']);
+      expect(handleDelete.lastCall.args).to.deep.equal([2]);
+      expect(onChange.lastCall.args[1].history).to.equal('redo');
+      expect(status()).to.equal('1 change redone.');
+
+      // nothing left to redo
+      redo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango']);
+    });
+
+    test('leaves whitespace typed in the input to the browser', () => {
+      const { input, texts, focus, press } = renderHistory();
+      focus(input);
+      press(KEYS.BACKSPACE);
+      focus(input);
+      fireEvent.change(input, { target: { value: '  ' } });
+      press(KEYS.Z, { ctrlKey: true });
+      expect(texts()).to.deep.equal(['Apple', 'Mango']);
+    });
+
+    test('undoes additions and keeps the text of the input', () => {
+      const { input, texts, focus, press, undo } = renderHistory();
+      focus(input);
+      fireEvent.change(input, { target: { value: 'Banana' } });
+      press(ENTER_ARROW_KEY_CODE);
+      fireEvent.change(input, { target: { value: 'Pear' } });
+      undo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi', 'Banana']);
+
+      fireEvent.change(input, { target: { value: '' } });
+      undo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+      undo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+    });
+
+    test('undoes a paste at once', () => {
+      const { input, texts, focus, undo, redo } = renderHistory();
+      focus(input);
+      fireEvent.paste(input, {
+        clipboardData: { getData: () => 'Peach\nPlum' },
+      });
+      expect(texts()).to.deep.equal([
+        'Apple',
+        'Mango',
+        'Kiwi',
+        'Peach',
+        'Plum',
+      ]);
+      undo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+      redo();
+      expect(texts()).to.deep.equal([
+        'Apple',
+        'Mango',
+        'Kiwi',
+        'Peach',
+        'Plum',
+      ]);
+    });
+
+    test('undoes the deletion of selected tags at once', () => {
+      const { tagElements, texts, focus, press, undo } = renderHistory();
+      focus(tagElements()[0]);
+      press(KEYS.RIGHT_ARROW, { shiftKey: true });
+      press(KEYS.DELETE);
+      expect(texts()).to.deep.equal(['Kiwi']);
+      focus(tagElements()[0]);
+      undo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+    });
+
+    test('undoes reordering and editing', () => {
+      const handleDrag = spy();
+      const handleTagUpdate = spy();
+      const { tagElements, texts, focus, press, undo, redo } = renderHistory({
+        handleDrag,
+        handleTagUpdate,
+        editable: true,
+      });
+      focus(tagElements()[0]);
+      press(KEYS.RIGHT_ARROW, { altKey: true });
+      expect(texts()).to.deep.equal(['Mango', 'Apple', 'Kiwi']);
+      undo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+      expect(handleDrag.lastCall.args).to.deep.equal([fruits[0], 1, 0]);
+
+      focus(tagElements()[2]);
+      press(ENTER_ARROW_KEY_CODE);
+      fireEvent.change(document.activeElement, { target: { value: 'Lime' } });
+      press(ENTER_ARROW_KEY_CODE);
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Lime']);
+      undo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+      expect(handleTagUpdate.lastCall.args).to.deep.equal([2, fruits[2]]);
+      redo();
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Lime']);
+    });
+
+    test('restores the tags removed with a related tag', () => {
+      const places = [
+        {
+          id: 'europe',
+          text: 'Europe',
+          children: [{ id: 'germany', text: 'Germany' }],
+        },
+      ];
+      const { input, tagElements, texts, focus, press, undo } = renderHistory({
+        defaultTags: [
+          { id: 'germany', text: 'Germany' },
+          { id: 'asia', text: 'Asia' },
+        ],
+        suggestions: places,
+        removeRelatedTags: 'descendants',
+      });
+      focus(input);
+      fireEvent.change(input, { target: { value: 'europe' } });
+      press(KEYS.DOWN_ARROW);
+      press(ENTER_ARROW_KEY_CODE);
+      expect(texts()).to.deep.equal(['Asia', 'Europe']);
+      undo();
+      expect(tagElements().map((tag) => tag.textContent)).to.deep.equal([
+        'Europe › Germany×',
+        'Asia×',
+      ]);
+    });
+
+    test('offers to undo deletions in a notice', async () => {
+      const { root, input, texts, focus } = renderHistory({
+        undoNotice: { duration: 50 },
+      });
+      const notice = () =>
+        root.container.querySelector('.ReactTags__undoNotice');
+      const press = (keyCode) => fireEvent.keyDown(input, { keyCode });
+      focus(input);
+      press(KEYS.BACKSPACE);
+      expect(notice().textContent).to.equal('Tag Kiwi removedUndo');
+      fireEvent.click(notice().querySelector('button'));
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+      expect(notice()).to.be.null;
+
+      press(KEYS.BACKSPACE);
+      expect(notice()).to.not.be.null;
+      fireEvent.change(input, { target: { value: 'Fig' } });
+      press(ENTER_ARROW_KEY_CODE);
+      expect(notice()).to.be.null;
+
+      fireEvent.click(root.getAllByRole('button')[0]);
+      expect(notice()).to.not.be.null;
+      await act(() => new Promise((resolve) => setTimeout(resolve, 60)));
+      expect(notice()).to.be.null;
+    });
+
+    test('undoes and redoes through a ref', () => {
+      const ref = React.createRef();
+      const { input, texts, focus, press } = renderHistory({}, ref);
+      focus(input);
+      press(KEYS.BACKSPACE);
+      let isUndone;
+      act(() => {
+        isUndone = ref.current.undo();
+      });
+      expect(isUndone).to.be.true;
+      expect(texts()).to.deep.equal(['Apple', 'Mango', 'Kiwi']);
+      act(() => {
+        ref.current.redo();
+      });
+      expect(texts()).to.deep.equal(['Apple', 'Mango']);
+    });
+
+    test('forwards the ref through the drag and drop context', () => {
+      const ref = React.createRef();
+      render(<ReactTags defaultTags={fruits} ref={ref} />);
+      expect(ref.current.undo()).to.be.false;
+    });
+
+    test('does not undo in read only mode', () => {
+      const ref = React.createRef();
+      const { root, texts } = renderHistory({}, ref);
+      fireEvent.click(root.getAllByRole('button')[0]);
+      root.rerender(
+        <PureReactTags
+          defaultTags={fruits}
+          autofocus={false}
+          ref={ref}
+          readOnly
+        />
+      );
+      act(() => {
+        ref.current.undo();
+      });
+      expect(texts()).to.deep.equal(['Mango', 'Kiwi']);
+    });
+  });
+
+  describe('Test usage', () => {
+    function renderWithUsage(props) {
+      const root = render(
+        <ReactTags
+          suggestions={defaults.suggestions}
+          defaultTags={[]}
+          autofocus={false}
+          usageKey="fruits"
+          {...props}
+        />
+      );
+      const input = root.getByRole('combobox');
+      const addTag = (value) => {
+        fireEvent.change(input, { target: { value } });
+        fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      };
+      const options = () =>
+        root.queryAllByRole('option').map((option) => option.textContent);
+      return { root, input, addTag, options };
+    }
+
+    test('records the added tags in the storage', () => {
+      const usageStorage = createMemoryStorage();
+      const { addTag } = renderWithUsage({ usageStorage });
+      addTag('Peach');
+      addTag('Pear');
+      const entries = JSON.parse(usageStorage.getItem('fruits'));
+      expect(entries.map(({ id, count }) => [id, count])).to.deep.equal([
+        ['Peach', 1],
+        ['Pear', 1],
+      ]);
+    });
+
+    test('shows the recent suggestions when the input is empty', () => {
+      const usageStorage = createMemoryStorage();
+      const first = renderWithUsage({ usageStorage });
+      first.addTag('Peach');
+      first.addTag('Pear');
+      first.root.unmount();
+
+      const { root, input, options } = renderWithUsage({
+        usageStorage,
+        defaultTags: [{ id: 'Pear', text: 'Pear' }],
+      });
+      fireEvent.focus(input);
+      expect(options()).to.deep.equal(['Peach']);
+      expect(
+        root.getAllByRole('group').map((group) => group.firstChild.textContent)
+      ).to.deep.equal(['Recent']);
+
+      fireEvent.change(input, { target: { value: 'Ap' } });
+      expect(options()).to.deep.equal(['Apple', 'Apricot']);
+      fireEvent.change(input, { target: { value: '' } });
+      expect(options()).to.deep.equal(['Peach']);
+
+      fireEvent.keyDown(input, { keyCode: DOWN_ARROW_KEY_CODE });
+      fireEvent.keyDown(input, { keyCode: ENTER_ARROW_KEY_CODE });
+      expect(root.getAllByRole('listitem')).to.have.length(2);
+    });
+
+    test('shows the most recent suggestions first', () => {
+      const usageStorage = createMemoryStorage();
+      const first = renderWithUsage({ usageStorage });
+      ['Banana', 'Apricot', 'Pear'].forEach(first.addTag);
+      first.root.unmount();
+
+      const { input, options } = renderWithUsage({
+        usageStorage,
+        maxRecentSuggestions: 2,
+      });
+      fireEvent.focus(input);
+      expect(options()).to.deep.equal(['Pear', 'Apricot']);
+    });
+
+    test('ranks the most used suggestions first', () => {
+      const usageStorage = createMemoryStorage();
+      const first = renderWithUsage({ usageStorage, allowUnique: false });
+      ['Peach', 'Pear', 'Peach'].forEach(first.addTag);
+      first.root.unmount();
+
+      const { root, input, options } = renderWithUsage({ usageStorage });
+      fireEvent.focus(input);
+      fireEvent.change(input, { target: { value: 'Pe' } });
+      expect(options()).to.deep.equal(['Peach', 'Pear']);
+      root.unmount();
+
+      const unused = renderWithUsage({ usageKey: undefined });
+      fireEvent.focus(unused.input);
+      fireEvent.change(unused.input, { target: { value: 'Pe' } });
+      expect(unused.options()).to.deep.equal(['Pear', 'Peach']);
+    });
+
+    test('keeps better matches before the used suggestions', () => {
+      const usageStorage = createMemoryStorage();
+      const suggestions = ['Grape', 'Apple', 'Apricot'].map((text) => ({
+        id: text,
+        text,
+      }));
+      const first = renderWithUsage({
+        usageStorage,
+        suggestions,
+        allowUnique: false,
+      });
+      ['Grape', 'Grape', 'Apricot'].forEach(first.addTag);
+      first.root.unmount();
+
+      const { input, options } = renderWithUsage({ usageStorage, suggestions });
+      fireEvent.focus(input);
+      fireEvent.change(input, { target: { value: 'Ap' } });
+      expect(options()).to.deep.equal(['Apricot', 'Apple', 'Grape']);
+    });
+
+    test('does not show recent suggestions without a usageKey', () => {
+      const { input, addTag, options } = renderWithUsage({
+        usageKey: undefined,
+      });
+      addTag('Peach');
+      fireEvent.focus(input);
+      expect(options()).to.deep.equal([]);
+    });
+
+    test('ignores storage errors', () => {
+      const usageStorage = {
+        getItem: () => {
+          throw new Error('denied');
+        },
+        setItem: () => {
+          throw new Error('quota exceeded');
+        },
+      };
+      const { root, addTag } = renderWithUsage({ usageStorage });
+      addTag('Peach');
+      expect(root.getAllByRole('listitem')).to.have.length(1);
+    });
+  });
+
   describe('Test drag and drop', () => {
     test('should be draggable', () => {
       const root = render(
@@ -0,0 +1,194 @@
+import { expect } from 'chai';
+
+import { createSuggestionIndex } from '../src/components/suggestionIndex';
+import {
+  getScorer,
+  rankSuggestions,
+  prefixScorer,
+} from '../src/components/matching';
+import { MATCH_STRATEGIES, SENSITIVITIES } from '../src/components/constants';
+
+const { PREFIX, SUBSTRING, FUZZY } = MATCH_STRATEGIES;
+
+const labels = (suggestions) => suggestions.map(({ text }) => text);
+
+const places = [
+  'Berlin',
+  'Bern',
+  'Heidelberg',
+  'Nuremberg',
+  'ÉBERSWALDE',
+  'Bergen',
+  'Albany',
+  'Hamburg',
+].map((text) => ({ id: text, text }));
+
+// Deterministic pseudo random labels made of syllables, e.g. "Tarovelin"
+function createPlaces(count) {
+  const syllables = ['ta', 'ro', 've', 'lin', 'ber', 'mu', 'sa', 'dor', 'ki'];
+  const syllableCount = syllables.length;
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  return Array.from({ length: count }, (value, i) => {
+    let text = '';
+    const length = 2 + Math.floor(random() * 4);
+    for (let j = 0; j < length; j++) {
+      text += syllables[Math.floor(random() * syllableCount)];
+    }
+    text = text[0].toUpperCase() + text.slice(1);
+    return { id: `${text}-${i}`, text };
+  });
+}
+
+describe('Test createSuggestionIndex', () => {
+  const index = createSuggestionIndex(places, 'text');
+
+  test('finds labels starting with the query', () => {
+    expect(labels(index.search('ber', PREFIX))).to.deep.equal([
+      'Berlin',
+      'Bern',
+      'Bergen',
+    ]);
+    expect(index.search('x', PREFIX)).to.deep.equal([]);
+  });
+
+  test('finds labels containing the query, starting ones first', () => {
+    expect(labels(index.search('BER', SUBSTRING))).to.deep.equal([
+      'Berlin',
+      'Bern',
+      'Bergen',
+      'Heidelberg',
+      'Nuremberg',
+      'ÉBERSWALDE',
+    ]);
+  });
+
+  test('finds labels for queries shorter than the n-grams', () => {
+    expect(labels(index.search('y', SUBSTRING))).to.deep.equal(['Albany']);
+    expect(index.search('', SUBSTRING)).to.deep.equal(places);
+  });
+
+  test('finds nothing for unknown n-grams', () => {
+    expect(index.search('bxr', SUBSTRING)).to.deep.equal([]);
+  });
+
+  test('narrows down and widens the matches as the query changes', () => {
+    const queries = [
+      'b',
+      'be',
+      'ber',
+      'berg',
+      'er',
+      'erg',
+      'bu',
+      'burg',
+      'b',
+      'be',
+      'bern',
+    ];
+    [SUBSTRING, PREFIX].forEach((strategy) => {
+      const narrowingIndex = createSuggestionIndex(places, 'text');
+      queries.forEach((query) => {
+        expect(narrowingIndex.search(query, strategy)).to.deep.equal(
+          rankSuggestions(query, places, 'text', getScorer(strategy)).map(
+            ({ item }) => item
+          )
+        );
+      });
+    });
+  });
+
+  test('only checks the previous matches when they are fewer', () => {
+    const suggestions = ['abcab', 'abc', 'bca', 'cab', 'abcd'].map((text) => ({
+      id: text,
+      text,
+    }));
+    const narrowingIndex = createSuggestionIndex(suggestions, 'text');
+    expect(labels(narrowingIndex.search('abca', SUBSTRING))).to.deep.equal([
+      'abcab',
+    ]);
+    expect(labels(narrowingIndex.search('abcab', SUBSTRING))).to.deep.equal([
+      'abcab',
+    ]);
+  });
+
+  test('does not support other strategies', () => {
+    expect(index.search('ber', FUZZY)).to.be.null;
+    expect(index.search('ber', prefixScorer)).to.be.null;
+  });
+
+  test('uses the labelField', () => {
+    const suggestions = [{ id: '1', name: 'Oslo' }];
+    expect(
+      createSuggestionIndex(suggestions, 'name').search('sl', SUBSTRING)
+    ).to.deep.equal(suggestions);
+  });
+
+  test('uses the locale and sensitivity', () => {
+    const baseIndex = createSuggestionIndex(places, 'text', {
+      sensitivity: SENSITIVITIES.BASE,
+    });
+    expect(labels(baseIndex.search('eber', PREFIX))).to.deep.equal([
+      'ÉBERSWALDE',
+    ]);
+    expect(index.search('eber', PREFIX)).to.deep.equal([]);
+
+    const caseIndex = createSuggestionIndex(places, 'text', {
+      sensitivity: SENSITIVITIES.CASE,
+    });
+    expect(labels(caseIndex.search('Ber', SUBSTRING))).to.deep.equal([
+      'Berlin',
+      'Bern',
+      'Bergen',
+    ]);
+  });
+
+  test('matches like the prefix and substring scorers', () => {
+    const suggestions = createPlaces(2000);
+    const generatedIndex = createSuggestionIndex(suggestions, 'text');
+    ['t', 'ta', 'tar', 'rov', 'linber', 'Dorki', 'xyz'].forEach((query) => {
+      [PREFIX, SUBSTRING].forEach((strategy) => {
+        expect(generatedIndex.search(query, strategy)).to.deep.equal(
+          rankSuggestions(query, suggestions, 'text', getScorer(strategy)).map(
+            ({ item }) => item
+          )
+        );
+      });
+    });
+  });
+
+  test('filters 100k suggestions in less than a millisecond', () => {
+    const suggestions = createPlaces(100000);
+    const largeIndex = createSuggestionIndex(suggestions, 'text');
+    const queries = ['Tarove', 'Berlinmu', 'Kidorsa', 'velinta', 'samuki'];
+    let searches = 0;
+    // types every query one character at a time, from the first one, so
+    // that each search narrows down the matches of the previous one
+    const typeQueries = (strategy) =>
+      queries.forEach((query) => {
+        for (let length = 1; length <= query.length; length++) {
+          largeIndex.search(query.slice(0, length), strategy);
+          searches++;
+        }
+      });
+
+    // warm up
+    typeQueries(SUBSTRING);
+    typeQueries(PREFIX);
+
+    const runs = 10;
+    searches = 0;
+    const start = process.hrtime();
+    for (let i = 0; i < runs; i++) {
+      typeQueries(SUBSTRING);
+      typeQueries(PREFIX);
+    }
+    const [seconds, nanoseconds] = process.hrtime(start);
+    const millisecondsPerSearch =
+      (seconds * 1e3 + nanoseconds / 1e6) / searches;
+    expect(millisecondsPerSearch).to.be.below(1);
+  });
+});
@@ -5,6 +5,7 @@ import { shallow, mount } from 'enzyme';
 import { spy, stub } from 'sinon';
 import Suggestions from '../src/components/Suggestions';
 import noop from 'lodash/noop';
+import range from 'lodash/range';
 import { DEFAULT_LABEL_FIELD } from '../src/components/constants';
 
 const defaults = {
@@ -33,6 +34,12 @@ describe('Suggestions', function() {
     const $el = shallow(mockItem());
     const expectedProps = {
       minQueryLength: 2,
+      isLoading: false,
+      error: null,
+      showNoSuggestions: false,
+      isBrowsing: false,
+      pathSeparator: ' › ',
+      getMessage: Suggestions.defaultProps.getMessage,
       ...defaults,
     };
 
@@ -87,7 +94,7 @@ describe('Suggestions', function() {
       })
     );
     expect($el.html()).to.equal(
-      '<div class="foo"><ul> <li class=""><span><mark>&lt;script&gt;alert()&lt;/script&gt;</mark></span></li> </ul></div>'
+      '<div class="foo"><ul role="listbox"><li role="option" aria-selected="false" class=""><span><mark>&lt;script&gt;alert()&lt;/script&gt;</mark></span></li></ul></div>'
     );
   });
 
@@ -231,4 +238,278 @@ describe('Suggestions', function() {
       .simulate('touchStart');
     expect(onTagClickedStub.calledOnce).to.be.true;
   });
+
+  test('should render the loading state instead of the list', function() {
+    const $el = mount(
+      mockItem({
+        suggestions: [],
+        isLoading: true,
+        classNames: { suggestionsLoading: 'loading' },
+      })
+    );
+    expect($el.find('.loading').text()).to.equal('Loading suggestions...');
+    expect($el.find('li').length).to.equal(0);
+  });
+
+  test('should use the render props for the status rows', function() {
+    const $el = mount(
+      mockItem({
+        suggestions: [],
+        isLoading: true,
+        renderLoading: (query) => `Searching ${query}`,
+        renderNoSuggestions: (query) => `Nothing for ${query}`,
+        showNoSuggestions: true,
+        classNames: { suggestionsLoading: 'loading', suggestionsEmpty: 'empty' },
+      })
+    );
+    expect($el.find('.loading').text()).to.equal('Searching ang');
+    $el.setProps({ isLoading: false });
+    expect($el.find('.empty').text()).to.equal('Nothing for ang');
+  });
+
+  test('should render the error state with the error render prop', function() {
+    const $el = mount(
+      mockItem({
+        error: new Error('offline'),
+        renderError: (error) => error.message,
+        classNames: { suggestionsError: 'error' },
+      })
+    );
+    expect($el.find('.error').text()).to.equal('offline');
+  });
+
+  test('should not render the empty state unless requested', function() {
+    const $el = shallow(mockItem({ suggestions: [] }));
+    expect($el.html()).to.equal(null);
+  });
+
+  test('should mark the ranges returned by the matcher', function() {
+    const $el = shallow(
+      mockItem({
+        query: 'mno',
+        matcher: () => ({ score: 1, ranges: [[0, 1], [3, 5]] }),
+      })
+    );
+    expect(
+      $el
+        .find('li.active')
+        .find('span')
+        .html()
+    ).to.equal('<span><mark>M</mark>an<mark>go</mark></span>');
+  });
+
+  test('should escape the label when the matcher finds no match', function() {
+    const suggestions = [{ id: 'script', text: '<b>bold</b>' }];
+    const $el = shallow(
+      mockItem({ suggestions, selectedIndex: 0, matcher: () => null })
+    );
+    expect(
+      $el
+        .find('li')
+        .find('span')
+        .html()
+    ).to.equal('<span>&lt;b&gt;bold&lt;/b&gt;</span>');
+  });
+
+  test('should format the status rows with getMessage', function() {
+    const $el = mount(
+      mockItem({
+        suggestions: [],
+        showNoSuggestions: true,
+        getMessage: (key, { query }) => `${key}:${query}`,
+        classNames: { suggestionsEmpty: 'empty' },
+      })
+    );
+    expect($el.find('.empty').text()).to.equal('noSuggestions:ang');
+  });
+
+  describe('grouped suggestions', function() {
+    const suggestions = [
+      { id: 'Mango', text: 'Mango', group: 'Recent' },
+      { id: 'Banana', text: 'Banana', group: 'Global' },
+      { id: 'Mandarin', text: 'Mandarin', group: 'Global' },
+      { id: 'Pear', text: 'Pear' },
+    ];
+    const classNames = {
+      activeSuggestion: 'active',
+      suggestionsGroup: 'group',
+      suggestionsGroupHeader: 'header',
+    };
+
+    test('should render a labelled section per group', function() {
+      const $el = mount(
+        mockItem({ id: 'fruits', suggestions, selectedIndex: 2, classNames })
+      );
+      const $groups = $el.find('li.group');
+      expect($groups.length).to.equal(2);
+      expect($groups.at(0).prop('aria-labelledby')).to.equal(
+        'fruits-group-0'
+      );
+      expect($el.find('#fruits-group-0').text()).to.equal('Recent');
+      expect($groups.at(1).find('li[role="option"]').length).to.equal(2);
+      expect($groups.at(1).find('li.active').text()).to.equal('Mandarin');
+      expect($el.find('li[role="option"]').last().prop('id')).to.equal(
+        'fruits-option-3'
+      );
+    });
+
+    test('should not select a group when its header is pressed', function() {
+      const handleClick = spy();
+      const $el = mount(mockItem({ suggestions, handleClick, classNames }));
+      const event = { preventDefault: spy() };
+      $el
+        .find('.header')
+        .first()
+        .simulate('mousedown', event);
+      expect(handleClick.called).to.be.false;
+      expect(event.preventDefault.calledOnce).to.be.true;
+    });
+
+    test('should group with groupBy and renderGroupHeader', function() {
+      const $el = mount(
+        mockItem({
+          classNames,
+          groupBy: (item) => item.text[0],
+          renderGroupHeader: (group) => <b>{group}</b>,
+        })
+      );
+      const headers = $el.find('.header b').map((header) => header.text());
+      expect(headers).to.deep.equal(['B', 'M', 'P', 'A']);
+      expect($el.find('li.group').first().prop('aria-label')).to.equal('B');
+    });
+
+    test('should render a flat list without groups', function() {
+      const $el = mount(mockItem({ classNames }));
+      expect($el.find('li.group').length).to.equal(0);
+      expect($el.find('li[role="option"]').length).to.equal(4);
+    });
+  });
+
+  describe('virtualized suggestions', function() {
+    const suggestions = range(1000).map((i) => ({
+      id: `item${i}`,
+      text: `item ${i}`,
+    }));
+    const virtualize = { height: 100, rowHeight: 20, overscan: 2 };
+
+    function mountVirtual(overrides) {
+      return mount(
+        mockItem({
+          id: 'items',
+          query: 'item',
+          suggestions,
+          selectedIndex: -1,
+          virtualize,
+          ...overrides,
+        })
+      );
+    }
+
+    function getOptionIndexes($el) {
+      return $el
+        .find('li[role="option"]')
+        .map((option) => option.prop('aria-posinset') - 1);
+    }
+
+    function getSpacerHeights($el) {
+      return $el
+        .find('li[role="presentation"]')
+        .map((spacer) => spacer.prop('style').height);
+    }
+
+    test('should only render the rows in view', function() {
+      const $el = mountVirtual();
+      expect(getOptionIndexes($el)).to.deep.equal(range(7));
+      expect(getSpacerHeights($el)).to.deep.equal([(1000 - 7) * 20]);
+      expect(
+        $el
+          .find('li[role="option"]')
+          .first()
+          .prop('aria-setsize')
+      ).to.equal(1000);
+      expect($el.find('ul').prop('style')).to.deep.equal({
+        maxHeight: 100,
+        overflowY: 'auto',
+      });
+    });
+
+    test('should render the rows scrolled into view', function() {
+      const $el = mountVirtual();
+      const listbox = $el.find('ul').getDOMNode();
+      listbox.scrollTop = 400;
+      $el.find('ul').simulate('scroll');
+      expect(getOptionIndexes($el)).to.deep.equal(range(18, 27));
+      expect(getSpacerHeights($el)).to.deep.equal([18 * 20, (1000 - 27) * 20]);
+    });
+
+    test('should scroll to the selected option', function() {
+      const $el = mountVirtual();
+      $el.setProps({ selectedIndex: 500 });
+      $el.update();
+      const listbox = $el.find('ul').getDOMNode();
+      expect(listbox.scrollTop).to.equal(501 * 20 - 100);
+      expect($el.find('li.active').prop('id')).to.equal('items-option-500');
+
+      $el.setProps({ selectedIndex: 2 });
+      $el.update();
+      expect(listbox.scrollTop).to.equal(40);
+      expect($el.find('li.active').prop('id')).to.equal('items-option-2');
+    });
+
+    test('should scroll back to the top for new suggestions', function() {
+      const $el = mountVirtual();
+      $el.setProps({ selectedIndex: 500 });
+      $el.setProps({ suggestions: suggestions.slice(1), selectedIndex: -1 });
+      $el.update();
+      expect($el.find('ul').getDOMNode().scrollTop).to.equal(0);
+      expect(getOptionIndexes($el)).to.deep.equal(range(7));
+    });
+
+    test('should render group headers as rows', function() {
+      const $el = mountVirtual({
+        suggestions: suggestions.map((item, i) => ({
+          ...item,
+          group: i < 2 ? 'Recent' : 'All',
+        })),
+        classNames: { suggestionsGroupHeader: 'header' },
+      });
+      const headers = $el.find('li.header').map((header) => header.text());
+      expect(headers).to.deep.equal(['Recent', 'All']);
+      expect(getOptionIndexes($el)).to.deep.equal(range(5));
+    });
+
+    test('should measure the rows without a rowHeight', function() {
+      const descriptor = Object.getOwnPropertyDescriptor(
+        HTMLElement.prototype,
+        'offsetHeight'
+      );
+      Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+        configurable: true,
+        get() {
+          return 50;
+        },
+      });
+      try {
+        const $el = mountVirtual({
+          virtualize: { height: 100, estimatedRowHeight: 10, overscan: 0 },
+        });
+        $el.update();
+        expect(getOptionIndexes($el)).to.deep.equal(range(2));
+        // the ten rows rendered with the estimated height were measured
+        expect(getSpacerHeights($el)).to.deep.equal([8 * 50 + 990 * 10]);
+      } finally {
+        Object.defineProperty(
+          HTMLElement.prototype,
+          'offsetHeight',
+          descriptor
+        );
+      }
+    });
+
+    test('should use the default options when virtualize is true', function() {
+      const $el = mountVirtual({ virtualize: true });
+      // 300px viewport with 32px rows and 5 rows of overscan
+      expect(getOptionIndexes($el)).to.deep.equal(range(15));
+    });
+  });
 });
@@ -1,7 +1,7 @@
-import React from 'react';
+import React, { useContext } from 'react';
 import PropTypes from 'prop-types';
 import { expect } from 'chai';
-import { DndProvider } from 'react-dnd';
+import { DndContext, DndProvider } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
 
 import { mount } from 'enzyme';
@@ -102,4 +102,334 @@ describe('Tag', () => {
     $el.find('span').simulate('touchStart');
     expect(onTagClickedStub.calledOnce).to.be.true;
   });
+
+  describe('renderTag', () => {
+    const renderTag = ({ tag, index, label, isDragging, removeButton }) => (
+      <React.Fragment>
+        <img className="avatar" src={`/${tag.id}.png`} alt="" />
+        <span className="label">{`${index}: ${label}`}</span>
+        {isDragging && <span className="dragging" />}
+        {removeButton}
+      </React.Fragment>
+    );
+
+    test('renders custom content inside the tag', () => {
+      const spy = sinon.spy(renderTag);
+      const $el = mount(mockItem({ renderTag: spy, isSelected: true }));
+      expect($el.find('span.tag img.avatar').prop('src')).to.equal('/1.png');
+      expect($el.find('span.tag span.label').text()).to.equal('0: FooBar');
+      expect($el.find('span.tag').find(RemoveComponent).length).to.equal(1);
+      const args = spy.getCall(0).args[0];
+      expect(args.tag).to.deep.equal({
+        id: '1',
+        text: 'FooBar',
+        className: 'action',
+      });
+      expect(args.isDragging).to.be.false;
+      expect(args.isSelected).to.be.true;
+    });
+
+    test('keeps the click and remove handling', () => {
+      const onTagClicked = sinon.spy();
+      const onDelete = sinon.spy();
+      const $el = mount(mockItem({ renderTag, onTagClicked, onDelete }));
+      $el.find('span.label').simulate('click');
+      expect(onTagClicked.calledOnce).to.be.true;
+      $el.find('button.remove').simulate('click');
+      expect(onDelete.calledOnce).to.be.true;
+    });
+
+    test('is not used while the tag is edited', () => {
+      const $el = mount(
+        mockItem({ renderTag, editable: true, isEditing: true })
+      );
+      expect($el.find('img.avatar').length).to.equal(0);
+      expect($el.find('input').prop('value')).to.equal('FooBar');
+    });
+  });
+
+  describe('editing', () => {
+    const TagWithBackend = (props) => (
+      <DndProvider backend={HTML5Backend}>
+        <Tag {...props} />
+      </DndProvider>
+    );
+
+    function mountEditable(overrides) {
+      const props = {
+        tag: { id: '1', text: 'FooBar' },
+        onDelete: noop,
+        moveTag: noop,
+        allowDragDrop: true,
+        classNames: { tag: 'tag', editTagInputField: 'edit' },
+        index: 0,
+        editable: true,
+        onEditStart: sinon.spy(),
+        onEditCommit: sinon.stub().returns(true),
+        onEditCancel: sinon.spy(),
+        onTagClicked: sinon.spy(),
+        tabIndex: 0,
+        ...overrides,
+      };
+      const $el = mount(<TagWithBackend {...props} />, {
+        attachTo: document.body.appendChild(document.createElement('div')),
+      });
+      return { $el, props };
+    }
+
+    test('starts editing on double click', () => {
+      const { $el, props } = mountEditable();
+      $el.find('span.tag').simulate('doubleClick');
+      expect(props.onEditStart.calledOnce).to.be.true;
+      $el.detach();
+    });
+
+    test('starts editing with Enter on the focused tag', () => {
+      const { $el, props } = mountEditable();
+      const $tag = $el.find('span.tag');
+      $tag.simulate('keyDown', { keyCode: 32 });
+      expect(props.onEditStart.called).to.be.false;
+      $tag.simulate('keyDown', { keyCode: 13 });
+      expect(props.onEditStart.calledOnce).to.be.true;
+      $el.detach();
+    });
+
+    test('ignores Enter on the remove button', () => {
+      const { $el, props } = mountEditable();
+      $el.find('span.tag').simulate('keyDown', {
+        keyCode: 13,
+        target: $el.find('button').getDOMNode(),
+      });
+      expect(props.onEditStart.called).to.be.false;
+      $el.detach();
+    });
+
+    [
+      { title: 'not editable', overrides: { editable: false } },
+      { title: 'read only', overrides: { readOnly: true } },
+      {
+        title: 'the label is not a string',
+        overrides: { tag: { id: '1', text: <b>FooBar</b> } },
+      },
+    ].forEach(({ title, overrides }) => {
+      test(`cannot be edited when ${title}`, () => {
+        const { $el, props } = mountEditable(overrides);
+        const $tag = $el.find('span.tag');
+        $tag.simulate('doubleClick');
+        $tag.simulate('keyDown', { keyCode: 13 });
+        expect(props.onEditStart.called).to.be.false;
+        $el.detach();
+      });
+    });
+
+    test('renders an input with the label while editing', () => {
+      const { $el, props } = mountEditable({
+        isEditing: true,
+        editLabel: 'Edit FooBar',
+      });
+      const $input = $el.find('input.edit');
+      expect($input.prop('value')).to.equal('FooBar');
+      expect($input.prop('aria-label')).to.equal('Edit FooBar');
+      expect(document.activeElement).to.equal($input.getDOMNode());
+      $el.find('span.tag').simulate('doubleClick');
+      expect(props.onEditStart.called).to.be.false;
+      $el.detach();
+    });
+
+    test('cannot be dragged while editing', () => {
+      const { $el } = mountEditable({ isEditing: true });
+      expect($el.find('span.tag').prop('style').cursor).to.equal('auto');
+      $el.detach();
+    });
+
+    test('tells react-dnd whether the tag can be dragged', () => {
+      let manager;
+      const ManagerProbe = () => {
+        manager = useContext(DndContext).dragDropManager;
+        return null;
+      };
+      const TagWithProbe = (props) => (
+        <DndProvider backend={HTML5Backend}>
+          <Tag {...props} />
+          <ManagerProbe />
+        </DndProvider>
+      );
+      const $el = mount(
+        <TagWithProbe
+          tag={{ id: '1', text: 'FooBar' }}
+          onDelete={noop}
+          moveTag={noop}
+          allowDragDrop
+          classNames={{ tag: 'tag', remove: 'remove' }}
+          index={0}
+        />
+      );
+      // the drag source of the tag is the last one registered
+      const sourceId = Array.from(
+        manager.getRegistry().dragSources.keys()
+      ).pop();
+      const canDragTag = () => manager.getMonitor().canDragSource(sourceId);
+      expect(canDragTag()).to.be.true;
+      $el.setProps({ isEditing: true });
+      expect(canDragTag()).to.be.false;
+      $el.setProps({ isEditing: false, readOnly: true });
+      expect(canDragTag()).to.be.false;
+      $el.unmount();
+    });
+
+    test('commits with Enter and restores focus to the tag', () => {
+      const { $el, props } = mountEditable({ isEditing: true });
+      const $input = $el.find('input.edit');
+      $input.simulate('change', { target: { value: 'FooBaz' } });
+      $input.simulate('keyDown', { keyCode: 65 });
+      $input.simulate('keyDown', { keyCode: 13 });
+      expect(props.onEditCommit.calledOnceWithExactly('FooBaz')).to.be.true;
+
+      $input.simulate('blur');
+      expect(props.onEditCommit.calledOnce).to.be.true;
+      $el.setProps({ isEditing: false });
+      expect(document.activeElement).to.equal(
+        $el.find('span.tag').getDOMNode()
+      );
+      $el.detach();
+    });
+
+    test('stays in edit mode when the commit is rejected', () => {
+      const { $el, props } = mountEditable({
+        isEditing: true,
+        onEditCommit: sinon.stub().returns(false),
+      });
+      const $input = $el.find('input.edit');
+      $input.simulate('keyDown', { keyCode: 13 });
+      expect(props.onEditCancel.called).to.be.false;
+
+      // leaving the input reverts the rejected edit
+      $input.simulate('blur');
+      expect(props.onEditCommit.calledTwice).to.be.true;
+      expect(props.onEditCancel.calledOnce).to.be.true;
+      $el.detach();
+    });
+
+    test('commits on blur', () => {
+      const { $el, props } = mountEditable({ isEditing: true });
+      $el.find('input.edit').simulate('blur');
+      expect(props.onEditCommit.calledOnceWithExactly('FooBar')).to.be.true;
+      expect(props.onEditCancel.called).to.be.false;
+      $el.detach();
+    });
+
+    test('cancels with Escape', () => {
+      const { $el, props } = mountEditable({ isEditing: true });
+      const $input = $el.find('input.edit');
+      $input.simulate('keyDown', { keyCode: 27 });
+      $input.simulate('blur');
+      expect(props.onEditCancel.calledOnce).to.be.true;
+      expect(props.onEditCommit.called).to.be.false;
+      $el.detach();
+    });
+
+    test('does not trigger the tag click handler from the input', () => {
+      const { $el, props } = mountEditable({ isEditing: true });
+      $el.find('input.edit').simulate('click');
+      expect(props.onTagClicked.called).to.be.false;
+      $el.detach();
+    });
+  });
+
+  describe('keyboard navigation', () => {
+    test('should be tabbable with the given tabIndex', () => {
+      const $el = mount(mockItem({ tabIndex: -1 }));
+      expect($el.find('span.tag').prop('tabIndex')).to.equal(-1);
+    });
+
+    test('should forward keys pressed on the tag', () => {
+      const onKeyDown = sinon.spy();
+      const $el = mount(mockItem({ onKeyDown }));
+      $el.find('span.tag').simulate('keyDown', { keyCode: 37 });
+      $el.find('span.tag').simulate('keyDown', { keyCode: 13 });
+      expect(onKeyDown.calledTwice).to.be.true;
+      expect(onKeyDown.firstCall.args[0].keyCode).to.equal(37);
+    });
+
+    test('should not forward keys pressed on the remove button', () => {
+      const onKeyDown = sinon.spy();
+      const $el = mount(mockItem({ onKeyDown }));
+      $el.find('button').simulate('keyDown', { keyCode: 8 });
+      expect(onKeyDown.called).to.be.false;
+    });
+
+    test('should ignore keys without a handler', () => {
+      const $el = mount(mockItem());
+      $el.find('span.tag').simulate('keyDown', { keyCode: 37 });
+      expect($el.find('span.tag').length).to.equal(1);
+    });
+
+    test('should add the selected className to selected tags', () => {
+      const $el = mount(
+        mockItem({
+          isSelected: true,
+          classNames: { tag: 'tag', tagSelected: 'selected' },
+        })
+      );
+      expect($el.find('span.tag.selected').length).to.equal(1);
+    });
+
+    test('should add the grabbed className to a grabbed tag', () => {
+      const $el = mount(
+        mockItem({
+          isGrabbed: true,
+          classNames: { tag: 'tag', tagGrabbed: 'grabbed' },
+        })
+      );
+      expect($el.find('span.tag.grabbed').length).to.equal(1);
+    });
+
+    test('should add the duplicate className to a duplicated tag', () => {
+      const $el = mount(
+        mockItem({
+          isDuplicate: true,
+          classNames: { tag: 'tag', tagDuplicate: 'duplicate' },
+        })
+      );
+      expect($el.find('span.tag.duplicate').length).to.equal(1);
+    });
+
+    test('should forward Enter instead of editing a grabbed tag', () => {
+      const onKeyDown = sinon.spy();
+      const onEditStart = sinon.spy();
+      const $el = mount(
+        mockItem({ editable: true, isGrabbed: true, onKeyDown, onEditStart })
+      );
+      $el.find('span.tag').simulate('keyDown', { keyCode: 13 });
+      expect(onEditStart.called).to.be.false;
+      expect(onKeyDown.calledOnce).to.be.true;
+    });
+  });
+
+  describe('without a DnD backend', () => {
+    test('renders outside of a DndProvider', () => {
+      const onTagClicked = sinon.spy();
+      const $el = mount(
+        <Tag
+          tag={{ id: '1', text: 'FooBar' }}
+          onDelete={noop}
+          moveTag={noop}
+          allowDragDrop
+          onTagClicked={onTagClicked}
+          classNames={{ tag: 'tag', remove: 'remove' }}
+          index={0}
+        />
+      );
+      const $tag = $el.find('span.tag');
+      expect($tag.text()).to.have.string('FooBar');
+      expect($tag.prop('style').cursor).to.equal('auto');
+      $tag.simulate('click');
+      expect(onTagClicked.calledOnce).to.be.true;
+    });
+  });
+
+  test('can be dragged inside a DndProvider', () => {
+    const $el = mount(mockItem());
+    expect($el.find('span.tag').prop('style').cursor).to.equal('move');
+  });
 });
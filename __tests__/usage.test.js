@@ -0,0 +1,124 @@
+import { expect } from 'chai';
+
+import {
+  createMemoryStorage,
+  getDefaultStorage,
+  getRecentTags,
+  getUsageScore,
+  readUsage,
+  recordUsage,
+  sortByUsage,
+  writeUsage,
+} from '../src/components/usage';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const tag = (id) => ({ id, text: id });
+const ids = (items) => items.map(({ id }) => id);
+
+describe('Test usage storage', () => {
+  test('keeps the items in memory', () => {
+    const storage = createMemoryStorage();
+    expect(storage.getItem('tags')).to.be.null;
+    storage.setItem('tags', 1);
+    expect(storage.getItem('tags')).to.equal('1');
+  });
+
+  test('uses localStorage by default', () => {
+    expect(getDefaultStorage()).to.equal(window.localStorage);
+  });
+
+  test('reads and writes the entries', () => {
+    const storage = createMemoryStorage();
+    expect(readUsage(storage, 'tags')).to.deep.equal([]);
+    const entries = recordUsage([], tag('Apple'), 0);
+    writeUsage(storage, 'tags', entries);
+    expect(readUsage(storage, 'tags')).to.deep.equal(entries);
+  });
+
+  test('ignores invalid entries and storage errors', () => {
+    const storage = createMemoryStorage();
+    storage.setItem('tags', '{');
+    expect(readUsage(storage, 'tags')).to.deep.equal([]);
+    storage.setItem('tags', '{}');
+    expect(readUsage(storage, 'tags')).to.deep.equal([]);
+
+    const failing = {
+      getItem: () => {
+        throw new Error('denied');
+      },
+      setItem: () => {
+        throw new Error('quota exceeded');
+      },
+    };
+    expect(readUsage(failing, 'tags')).to.deep.equal([]);
+    expect(() => writeUsage(failing, 'tags', [])).to.not.throw();
+  });
+});
+
+describe('Test recordUsage', () => {
+  test('counts the uses and moves the tag to the end', () => {
+    let entries = recordUsage([], tag('Apple'), 1);
+    entries = recordUsage(entries, tag('Pear'), 2);
+    entries = recordUsage(entries, { id: 'Apple', text: 'apple' }, 3);
+    expect(entries).to.deep.equal([
+      { id: 'Pear', tag: tag('Pear'), count: 1, lastUsed: 2 },
+      {
+        id: 'Apple',
+        tag: { id: 'Apple', text: 'apple' },
+        count: 2,
+        lastUsed: 3,
+      },
+    ]);
+  });
+
+  test('forgets the least recently used tags', () => {
+    let entries = [];
+    for (let i = 0; i < 201; i++) {
+      entries = recordUsage(entries, tag(i), i);
+    }
+    expect(entries).to.have.length(200);
+    expect(entries[0].id).to.equal('1');
+  });
+});
+
+describe('Test sortByUsage', () => {
+  const suggestions = ['Apple', 'Apricot', 'Avocado'].map(tag);
+
+  test('scores frequent and recent uses higher', () => {
+    const now = 10 * DAY;
+    expect(getUsageScore({ count: 2, lastUsed: now }, now)).to.equal(2);
+    expect(getUsageScore({ count: 2, lastUsed: now - DAY }, now)).to.equal(1);
+    expect(getUsageScore({ count: 2, lastUsed: now + DAY }, now)).to.equal(2);
+  });
+
+  test('moves the used suggestions first', () => {
+    const now = 10 * DAY;
+    let entries = recordUsage([], tag('Avocado'), now - 3 * DAY);
+    entries = recordUsage(entries, tag('Avocado'), now - 3 * DAY);
+    entries = recordUsage(entries, tag('Apricot'), now);
+    expect(ids(sortByUsage(suggestions, entries, now))).to.deep.equal([
+      'Apricot',
+      'Avocado',
+      'Apple',
+    ]);
+    expect(sortByUsage(suggestions, [], now)).to.equal(suggestions);
+  });
+
+  test('only moves used suggestions before equally good matches', () => {
+    const now = 10 * DAY;
+    const scores = { Apple: 2, Apricot: 2, Avocado: 1 };
+    let entries = recordUsage([], tag('Avocado'), now);
+    entries = recordUsage(entries, tag('Avocado'), now);
+    entries = recordUsage(entries, tag('Apricot'), now - DAY);
+    expect(
+      ids(sortByUsage(suggestions, entries, now, ({ id }) => scores[id]))
+    ).to.deep.equal(['Apricot', 'Apple', 'Avocado']);
+  });
+
+  test('lists the recent tags most recent first', () => {
+    let entries = recordUsage([], tag('Apple'), 1);
+    entries = recordUsage(entries, tag('Pear'), 2);
+    expect(ids(getRecentTags(entries))).to.deep.equal(['Pear', 'Apple']);
+  });
+});
@@ -0,0 +1,170 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { expect } from 'chai';
+import { spy } from 'sinon';
+import { fireEvent, render } from '@testing-library/react';
+
+import { useReactTags } from '../src/components/ReactTags';
+import { KEYS } from '../src/components/constants';
+
+const suggestions = [
+  { id: 'Thailand', text: 'Thailand' },
+  { id: 'India', text: 'India' },
+  { id: 'Indonesia', text: 'Indonesia' },
+];
+
+// Custom markup that only relies on the hook's state and prop getters
+function TagPicker(props) {
+  const {
+    tags,
+    suggestions,
+    isSuggestionsOpen,
+    getInputProps,
+    getTagListProps,
+    getTagProps,
+    getRemoveProps,
+    getListboxProps,
+    getSuggestionProps,
+  } = useReactTags(props);
+
+  return (
+    <div>
+      <ul {...getTagListProps()}>
+        {tags.map((tag, index) => (
+          <li key={tag.id} {...getTagProps(index)}>
+            {tag.text}
+            <button {...getRemoveProps(index)}>x</button>
+          </li>
+        ))}
+      </ul>
+      <input {...getInputProps({ onChange: props.onInputChange })} />
+      {isSuggestionsOpen && (
+        <ul {...getListboxProps()}>
+          {suggestions.map((suggestion, index) => (
+            <li key={suggestion.id} {...getSuggestionProps(index)}>
+              {suggestion.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+TagPicker.propTypes = {
+  onInputChange: PropTypes.func,
+};
+
+function renderPicker(props = {}) {
+  return render(
+    <TagPicker
+      defaultTags={[
+        { id: 'Apple', text: 'Apple' },
+        { id: 'Mango', text: 'Mango' },
+      ]}
+      suggestions={suggestions}
+      autofocus={false}
+      {...props}
+    />
+  );
+}
+
+function focus(element) {
+  element.focus();
+  fireEvent.focus(element);
+}
+
+function getTagTexts(getAllByRole) {
+  return getAllByRole('listitem').map((item) => item.firstChild.textContent);
+}
+
+describe('useReactTags', () => {
+  test('adds a tag from the input', () => {
+    const onChange = spy();
+    const { getByRole, getAllByRole } = renderPicker({ onChange });
+    const input = getByRole('combobox');
+
+    fireEvent.change(input, { target: { value: 'Banana' } });
+    fireEvent.keyDown(input, { keyCode: KEYS.ENTER[0] });
+
+    expect(getTagTexts(getAllByRole)).to.deep.equal([
+      'Apple',
+      'Mango',
+      'Banana',
+    ]);
+    expect(onChange.calledOnce).to.be.true;
+    expect(onChange.getCall(0).args[1].action).to.equal('add');
+    expect(input.value).to.equal('');
+  });
+
+  test('removes a tag with the remove button', () => {
+    const { getAllByRole } = renderPicker();
+
+    fireEvent.click(getAllByRole('button')[0]);
+
+    expect(getTagTexts(getAllByRole)).to.deep.equal(['Mango']);
+  });
+
+  test('labels the tag list and the remove buttons', () => {
+    const { getByRole, getAllByRole } = renderPicker();
+
+    expect(getByRole('list').getAttribute('aria-label')).to.equal('2 tags');
+    expect(getAllByRole('button')[1].getAttribute('aria-label')).to.equal(
+      'Tag at index 1 with value Mango focussed. Press backspace to remove'
+    );
+  });
+
+  test('selects a suggestion from the listbox', () => {
+    const { getByRole, getAllByRole, queryByRole } = renderPicker();
+    const input = getByRole('combobox');
+
+    focus(input);
+    fireEvent.change(input, { target: { value: 'Ind' } });
+
+    expect(getByRole('listbox').id).to.equal(
+      input.getAttribute('aria-controls')
+    );
+    const options = getAllByRole('option');
+    expect(options.map((option) => option.textContent)).to.deep.equal([
+      'India',
+      'Indonesia',
+    ]);
+
+    fireEvent.mouseOver(options[1]);
+    expect(options[1].getAttribute('aria-selected')).to.equal('true');
+    expect(input.getAttribute('aria-activedescendant')).to.equal(options[1].id);
+
+    fireEvent.mouseDown(options[1]);
+    expect(getTagTexts(getAllByRole)).to.deep.equal([
+      'Apple',
+      'Mango',
+      'Indonesia',
+    ]);
+    expect(queryByRole('listbox')).to.be.null;
+  });
+
+  test('navigates and deletes tags with the keyboard', () => {
+    const { getByRole, getAllByRole } = renderPicker();
+    const input = getByRole('combobox');
+
+    focus(input);
+    fireEvent.keyDown(input, { keyCode: KEYS.LEFT_ARROW });
+    const items = getAllByRole('listitem');
+    expect(document.activeElement).to.equal(items[1]);
+    expect(items[1].getAttribute('tabindex')).to.equal('0');
+    expect(items[0].getAttribute('tabindex')).to.equal('-1');
+
+    fireEvent.keyDown(items[1], { keyCode: KEYS.BACKSPACE });
+    expect(getTagTexts(getAllByRole)).to.deep.equal(['Apple']);
+  });
+
+  test('calls handlers passed to the prop getters', () => {
+    const onInputChange = spy();
+    const { getByRole } = renderPicker({ onInputChange });
+
+    fireEvent.change(getByRole('combobox'), { target: { value: 'Ban' } });
+
+    expect(onInputChange.calledOnce).to.be.true;
+    expect(getByRole('combobox').value).to.equal('Ban');
+  });
+});
@@ -1,13 +1,22 @@
 import { expect } from 'chai';
 import noop from 'lodash/noop';
+import { spy } from 'sinon';
 
 import {
   buildRegExpFromDelimiters,
   canDrag,
   canDrop,
+  createSuggestionPropGetters,
+  getOptionId,
+  getGroupHeaderId,
+  groupSuggestions,
+  formatMessage,
+  isDelimiterKey,
+  parsePastedText,
 } from '../src/components/utils';
 
 const KeyCodes = {
+  comma: 188,
   colon: 58,
   forwardSlash: 47,
   period: 46,
@@ -46,6 +55,86 @@ describe('Test buildRegExpFromDelimiters', () => {
     const expected = ['https', 'www', 'lodash', 'com'];
     testRegex(input, delimiters, expected);
   });
+
+  test('handles string and regular expression delimiters', () => {
+    testRegex('a;b - c|d', [';', ' - ', /\|/], ['a', 'b', 'c', 'd']);
+    testRegex('a-b,c', [KeyCodes.comma, '-'], ['a', 'b', 'c']);
+    testRegex('a1b22c', /\d/, ['a', 'b', 'c']);
+    testRegex('a\nb\tc', ['Enter', 'Tab'], ['a', 'b', 'c']);
+  });
+
+  test('matches nothing without delimiters', () => {
+    testRegex('a,b', [], ['a,b']);
+  });
+});
+
+describe('Test parsePastedText', () => {
+  const COMMA = 188;
+
+  test('splits lines, tab separated cells and delimiters', () => {
+    expect(
+      parsePastedText('Red\tGreen\r\nBlue,Pink\rCyan\nWhite', [COMMA])
+    ).to.deep.equal(['Red', 'Green', 'Blue', 'Pink', 'Cyan', 'White']);
+  });
+
+  test('trims values and leaves out empty ones', () => {
+    expect(parsePastedText(' Red ,, \n\n Blue\t', [COMMA])).to.deep.equal([
+      'Red',
+      'Blue',
+    ]);
+  });
+
+  test('keeps separators and escaped quotes in quoted values', () => {
+    const text = '"Bosnia, Herzegovina", Chad,"Line\nbreak","a ""b"""';
+    expect(parsePastedText(text, [COMMA])).to.deep.equal([
+      'Bosnia, Herzegovina',
+      'Chad',
+      'Line\nbreak',
+      'a "b"',
+    ]);
+  });
+
+  test('splits on string and regular expression delimiters', () => {
+    expect(parsePastedText('a | b;c', [' | ', /;/])).to.deep.equal([
+      'a',
+      'b',
+      'c',
+    ]);
+  });
+
+  test('only opens quoted values at their start', () => {
+    expect(parsePastedText('5" screen, "open', [COMMA])).to.deep.equal([
+      '5" screen',
+      'open',
+    ]);
+  });
+});
+
+describe('Test isDelimiterKey', () => {
+  test('compares keycodes to event.keyCode', () => {
+    expect(isDelimiterKey({ keyCode: 188, key: ',' }, [188])).to.equal(true);
+    expect(isDelimiterKey({ keyCode: 190, key: '.' }, [188])).to.equal(false);
+  });
+
+  test('compares strings to event.key', () => {
+    expect(isDelimiterKey({ key: ',' }, [';', ','])).to.equal(true);
+    expect(isDelimiterKey({ key: 'Enter' }, ['Enter'])).to.equal(true);
+    expect(isDelimiterKey({ key: 'Tab' }, ['Enter'])).to.equal(false);
+    expect(isDelimiterKey({ keyCode: 13 }, ['Enter'])).to.equal(false);
+  });
+
+  test('tests typed characters against regular expressions', () => {
+    expect(isDelimiterKey({ key: ';' }, /[,;]/)).to.equal(true);
+    expect(isDelimiterKey({ key: 'a' }, [/[,;]/g])).to.equal(false);
+    expect(isDelimiterKey({ key: 'Enter' }, [/E/])).to.equal(false);
+  });
+
+  test('ignores keys pressed while an IME composes text', () => {
+    expect(isDelimiterKey({ key: ',', isComposing: true }, [','])).to.equal(
+      false
+    );
+    expect(isDelimiterKey({ key: ',', keyCode: 229 }, [','])).to.equal(false);
+  });
 });
 
 describe('Test canDrag', () => {
@@ -65,6 +154,11 @@ describe('Test canDrag', () => {
     expect(result).to.equal(false);
   });
 
+  test('should return false when the tag is being edited', () => {
+    const result = canDrag({ ...input, isEditing: true });
+    expect(result).to.equal(false);
+  });
+
   test('should return true when all params are truthy for canDrag', () => {
     const result = canDrag(input);
     expect(result).to.equal(true);
@@ -88,3 +182,146 @@ describe('Test canDrop', () => {
     expect(result).to.equal(true);
   });
 });
+
+describe('Test getOptionId', () => {
+  test('should derive the option id from the listbox id', () => {
+    expect(getOptionId('tags-listbox', 3)).to.equal('tags-listbox-option-3');
+  });
+});
+
+describe('Test getGroupHeaderId', () => {
+  test('should derive the group header id from the listbox id', () => {
+    expect(getGroupHeaderId('tags-listbox', 1)).to.equal(
+      'tags-listbox-group-1'
+    );
+  });
+});
+
+describe('Test groupSuggestions', () => {
+  const getGroup = (suggestion) => suggestion.group;
+
+  test('should group suggestions in the order of their first suggestion', () => {
+    const suggestions = [
+      { id: 'a', group: 'Team' },
+      { id: 'b', group: 'Global' },
+      { id: 'c', group: 'Team' },
+      { id: 'd' },
+    ];
+    expect(groupSuggestions(suggestions, getGroup)).to.deep.equal([
+      {
+        group: 'Team',
+        suggestions: [suggestions[0], suggestions[2]],
+        index: 0,
+      },
+      { group: 'Global', suggestions: [suggestions[1]], index: 2 },
+      { group: undefined, suggestions: [suggestions[3]], index: 3 },
+    ]);
+  });
+
+  test('should return no groups without suggestions', () => {
+    expect(groupSuggestions([], getGroup)).to.deep.equal([]);
+  });
+});
+
+describe('Test createSuggestionPropGetters', () => {
+  test('should link the options and groups to the listbox', () => {
+    const getters = createSuggestionPropGetters({
+      listboxId: 'tags-listbox',
+      selectedIndex: 1,
+      onSelect: noop,
+      onHighlight: noop,
+    });
+    expect(getters.getListboxProps({ className: 'list' })).to.deep.equal({
+      className: 'list',
+      id: 'tags-listbox',
+      role: 'listbox',
+    });
+    expect(getters.getSuggestionGroupProps(0)).to.deep.equal({
+      role: 'group',
+      'aria-labelledby': 'tags-listbox-group-0',
+    });
+    expect(getters.getSuggestionGroupHeaderProps(0).id).to.equal(
+      'tags-listbox-group-0'
+    );
+    const option = getters.getSuggestionProps(1);
+    expect(option.id).to.equal('tags-listbox-option-1');
+    expect(option['aria-selected']).to.be.true;
+  });
+
+  test('should call the given handlers along with their own', () => {
+    const onSelect = spy();
+    const onHighlight = spy();
+    const onMouseDown = spy();
+    const getters = createSuggestionPropGetters({
+      selectedIndex: -1,
+      onSelect,
+      onHighlight,
+    });
+    const option = getters.getSuggestionProps(2, { onMouseDown });
+    expect(option.id).to.be.undefined;
+    option.onMouseDown();
+    option.onTouchStart();
+    option.onMouseOver();
+    expect(onMouseDown.calledOnce).to.be.true;
+    expect(onSelect.args).to.deep.equal([[2], [2]]);
+    expect(onHighlight.args).to.deep.equal([[2]]);
+
+    const event = { preventDefault: spy() };
+    const header = getters.getSuggestionGroupHeaderProps(0);
+    header.onMouseDown(event);
+    expect(header.id).to.be.undefined;
+    expect(event.preventDefault.calledOnce).to.be.true;
+  });
+});
+
+describe('Test formatMessage', () => {
+  const tags = { one: '{count} tag', other: '{count} tags', '=0': 'No tags' };
+
+  test('should interpolate values', () => {
+    expect(
+      formatMessage('Tag {label} at {index}', { label: 'Apple', index: 0 })
+    ).to.equal('Tag Apple at 0');
+  });
+
+  test('should leave unknown placeholders untouched', () => {
+    expect(formatMessage('Tag {label}')).to.equal('Tag {label}');
+  });
+
+  test('should call message functions with the values', () => {
+    expect(formatMessage(({ count }) => `${count}!`, { count: 2 })).to.equal(
+      '2!'
+    );
+  });
+
+  test('should select plural forms for the locale', () => {
+    expect(formatMessage(tags, { count: 1 }, 'en')).to.equal('1 tag');
+    expect(formatMessage(tags, { count: 3 }, 'en')).to.equal('3 tags');
+    expect(formatMessage(tags, { count: 0 }, 'en')).to.equal('No tags');
+    expect(
+      formatMessage(
+        { one: '{count} étiquette', other: '{count} étiquettes' },
+        {
+          count: 0,
+        },
+        'fr'
+      )
+    ).to.equal('0 étiquette');
+  });
+
+  test('should fall back to the other form', () => {
+    expect(formatMessage({ other: '{count} tags' }, { count: 1 })).to.equal(
+      '1 tags'
+    );
+  });
+
+  test('should use English plural rules without Intl.PluralRules', () => {
+    const { PluralRules } = Intl;
+    delete Intl.PluralRules;
+    try {
+      expect(formatMessage(tags, { count: 1 })).to.equal('1 tag');
+      expect(formatMessage(tags, { count: 2 })).to.equal('2 tags');
+    } finally {
+      Intl.PluralRules = PluralRules;
+    }
+  });
+});
@@ -1,6 +1,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { KEYS } from './constants';
+import { KEYS, DEFAULT_MESSAGES } from './constants';
+import { formatMessage } from './utils';
 
 const crossStr = String.fromCharCode(215);
 const RemoveComponent = (props) => {
@@ -12,6 +13,11 @@ const RemoveComponent = (props) => {
       event.stopPropagation();
       return;
     }
+    // the key handler given by the tags removes the tag itself
+    if (props.onKeyDown) {
+      props.onKeyDown(event);
+      return;
+    }
     if (event.keyCode === KEYS.BACKSPACE) {
       onRemove(event);
     }
@@ -21,7 +27,9 @@ const RemoveComponent = (props) => {
     return <span />;
   }
 
-  const ariaLabel = `Tag at index ${index} with value ${tag.id} focussed. Press backspace to remove`;
+  const ariaLabel =
+    props.ariaLabel ||
+    formatMessage(DEFAULT_MESSAGES.removeTag, { index, id: tag.id });
   if (removeComponent) {
     const Component = removeComponent;
     return (
@@ -38,6 +46,7 @@ const RemoveComponent = (props) => {
 
   return (
     <button
+      ref={props.buttonRef}
       onClick={onRemove}
       onKeyDown={onKeydown}
       className={className}
@@ -59,6 +68,9 @@ RemoveComponent.propTypes = {
     key: PropTypes.string,
   }),
   index: PropTypes.number.isRequired,
+  ariaLabel: PropTypes.string,
+  buttonRef: PropTypes.func,
+  onKeyDown: PropTypes.func,
 };
 
 export default RemoveComponent;
@@ -1,7 +1,21 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
+import ClassNames from 'classnames';
 import isEqual from 'lodash/isEqual';
 import escape from 'lodash/escape';
+import range from 'lodash/range';
+import sortedIndex from 'lodash/sortedIndex';
+import {
+  createSuggestionPropGetters,
+  formatMessage,
+  groupSuggestions,
+} from './utils';
+import {
+  DEFAULT_MESSAGES,
+  DEFAULT_MIN_QUERY_LENGTH,
+  DEFAULT_PATH_SEPARATOR,
+  DEFAULT_VIRTUALIZE_OPTIONS,
+} from './constants';
 
 const maybeScrollSuggestionIntoView = (suggestionEl, suggestionsContainer) => {
   const containerHeight = suggestionsContainer.offsetHeight;
@@ -17,31 +31,94 @@ const maybeScrollSuggestionIntoView = (suggestionEl, suggestionsContainer) => {
   }
 };
 
+const markRanges = (label, ranges) => {
+  let html = '';
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    html += `${escape(label.slice(position, start))}<mark>${escape(
+      label.slice(start, end)
+    )}</mark>`;
+    position = end;
+  });
+  return html + escape(label.slice(position));
+};
+
+const getGroupField = (suggestion) => suggestion.group;
+
 class Suggestions extends Component {
   static propTypes = {
+    id: PropTypes.string,
     query: PropTypes.string.isRequired,
     selectedIndex: PropTypes.number.isRequired,
     suggestions: PropTypes.array.isRequired,
-    handleClick: PropTypes.func.isRequired,
-    handleHover: PropTypes.func.isRequired,
+    handleClick: PropTypes.func,
+    handleHover: PropTypes.func,
+    getListboxProps: PropTypes.func,
+    getSuggestionGroupProps: PropTypes.func,
+    getSuggestionGroupHeaderProps: PropTypes.func,
+    getSuggestionProps: PropTypes.func,
     minQueryLength: PropTypes.number,
     shouldRenderSuggestions: PropTypes.func,
     isFocused: PropTypes.bool.isRequired,
     classNames: PropTypes.object,
     labelField: PropTypes.string.isRequired,
     renderSuggestion: PropTypes.func,
+    matcher: PropTypes.func,
+    isLoading: PropTypes.bool,
+    error: PropTypes.any,
+    showNoSuggestions: PropTypes.bool,
+    renderLoading: PropTypes.func,
+    renderError: PropTypes.func,
+    renderNoSuggestions: PropTypes.func,
+    getMessage: PropTypes.func,
+    newTagLabel: PropTypes.string,
+    groupBy: PropTypes.func,
+    renderGroupHeader: PropTypes.func,
+    virtualize: PropTypes.oneOfType([
+      PropTypes.bool,
+      PropTypes.shape({
+        height: PropTypes.number,
+        rowHeight: PropTypes.number,
+        estimatedRowHeight: PropTypes.number,
+        overscan: PropTypes.number,
+      }),
+    ]),
+    isBrowsing: PropTypes.bool,
+    getPath: PropTypes.func,
+    hasChildren: PropTypes.func,
+    pathSeparator: PropTypes.string,
   };
 
   static defaultProps = {
-    minQueryLength: 2,
+    minQueryLength: DEFAULT_MIN_QUERY_LENGTH,
+    isLoading: false,
+    error: null,
+    showNoSuggestions: false,
+    isBrowsing: false,
+    pathSeparator: DEFAULT_PATH_SEPARATOR,
+    getMessage: (key, values) => formatMessage(DEFAULT_MESSAGES[key], values),
+  };
+
+  state = {
+    scrollTop: 0,
   };
 
-  shouldComponentUpdate(nextProps) {
+  componentDidMount() {
+    this.measureRows();
+  }
+
+  shouldComponentUpdate(nextProps, nextState) {
     const { props } = this;
     const shouldRenderSuggestions =
       props.shouldRenderSuggestions || this.shouldRenderSuggestions;
     return (
       props.isFocused !== nextProps.isFocused ||
+      props.isLoading !== nextProps.isLoading ||
+      props.error !== nextProps.error ||
+      props.newTagLabel !== nextProps.newTagLabel ||
+      props.isBrowsing !== nextProps.isBrowsing ||
+      nextProps.isBrowsing ||
+      this.state.scrollTop !== nextState.scrollTop ||
       !isEqual(props.suggestions, nextProps.suggestions) ||
       shouldRenderSuggestions(nextProps.query) ||
       shouldRenderSuggestions(nextProps.query) !==
@@ -52,6 +129,18 @@ class Suggestions extends Component {
   componentDidUpdate(prevProps) {
     const { selectedIndex, classNames } = this.props;
 
+    if (this.listbox && this.props.virtualize) {
+      if (prevProps.suggestions !== this.props.suggestions) {
+        this.rowHeights = {};
+        this.scrollVirtualList(0);
+      }
+      if (prevProps.selectedIndex !== selectedIndex) {
+        this.scrollToSelectedRow();
+      }
+      this.measureRows();
+      return;
+    }
+
     if (
       this.suggestionsContainer &&
       prevProps.selectedIndex !== selectedIndex
@@ -69,9 +158,37 @@ class Suggestions extends Component {
     }
   }
 
+  // Measured heights and rendered elements of the rows of a virtual list
+  rowHeights = {};
+  rowElements = {};
+
+  // The prop getters of useReactTags, or the same ones built from id,
+  // handleClick and handleHover when the suggestions are rendered on their own
+  getPropGetters = () => {
+    const { props } = this;
+    if (props.getSuggestionProps) {
+      return {
+        getListboxProps: props.getListboxProps,
+        getSuggestionGroupProps: props.getSuggestionGroupProps,
+        getSuggestionGroupHeaderProps: props.getSuggestionGroupHeaderProps,
+        getSuggestionProps: props.getSuggestionProps,
+      };
+    }
+    return createSuggestionPropGetters({
+      listboxId: props.id,
+      selectedIndex: props.selectedIndex,
+      onSelect: props.handleClick,
+      onHighlight: props.handleHover,
+    });
+  };
+
   markIt = (input, query) => {
-    const escapedRegex = query.trim().replace(/[-\\^$*+?.()|[\]{}]/g, '\\$&');
     const { [this.props.labelField]: labelValue } = input;
+    if (this.props.matcher) {
+      const match = this.props.matcher(query.trim(), labelValue);
+      return { __html: markRanges(labelValue, (match && match.ranges) || []) };
+    }
+    const escapedRegex = query.trim().replace(/[-\\^$*+?.()|[\]{}]/g, '\\$&');
 
     return {
       __html: labelValue.replace(RegExp(escapedRegex, 'gi'), (x) => {
@@ -90,43 +207,323 @@ class Suggestions extends Component {
     if (typeof renderSuggestion === 'function') {
       return renderSuggestion(item, query);
     }
-    return <span dangerouslySetInnerHTML={this.markIt(item, query)} />;
+    const path = this.props.getPath ? this.props.getPath(item) : [];
+    const label = <span dangerouslySetInnerHTML={this.markIt(item, query)} />;
+    if (path.length === 0) {
+      return label;
+    }
+    const { classNames, pathSeparator } = this.props;
+    return (
+      <React.Fragment>
+        <span className={classNames.suggestionPath}>
+          {path.join(pathSeparator)}
+          {pathSeparator}
+        </span>
+        {label}
+      </React.Fragment>
+    );
   };
 
-  render() {
+  // Wraps the options of each group in a labelled section. Options without a
+  // group, and the option creating a tag, are rendered without a header.
+  renderGroups = (options, propGetters) => {
     const { props } = this;
+    const { classNames } = props;
+    const groupBy = props.groupBy || getGroupField;
+    const groups = groupSuggestions(
+      props.suggestions.map((item, i) => ({ item, option: options[i] })),
+      ({ item }) => groupBy(item)
+    );
+    if (groups.every(({ group }) => group === undefined)) {
+      return options;
+    }
 
-    const suggestions = props.suggestions.map(
-      function(item, i) {
+    return [
+      ...groups.map(({ group, suggestions }, groupIndex) => {
+        const groupOptions = suggestions.map(({ option }) => option);
+        if (group === undefined) {
+          return (
+            <React.Fragment key="ungrouped">{groupOptions}</React.Fragment>
+          );
+        }
+        const groupProps = propGetters.getSuggestionGroupProps(groupIndex);
         return (
           <li
-            key={i}
-            onMouseDown={props.handleClick.bind(null, i)}
-            onTouchStart={props.handleClick.bind(null, i)}
-            onMouseOver={props.handleHover.bind(null, i)}
-            className={
-              i === props.selectedIndex ? props.classNames.activeSuggestion : ''
-            }>
-            {this.renderSuggestion(item, props.query)}
+            key={`group-${groupIndex}`}
+            {...groupProps}
+            aria-label={
+              groupProps['aria-labelledby'] ? undefined : String(group)
+            }
+            className={classNames.suggestionsGroup}>
+            <div
+              {...propGetters.getSuggestionGroupHeaderProps(groupIndex)}
+              className={classNames.suggestionsGroupHeader}>
+              {this.renderGroupHeader(group)}
+            </div>
+            <ul role="presentation">{groupOptions}</ul>
           </li>
         );
-      }.bind(this)
+      }),
+      ...options.slice(props.suggestions.length),
+    ];
+  };
+
+  renderStatus = () => {
+    const { props } = this;
+    const { classNames, query, error } = props;
+
+    if (props.isLoading) {
+      return (
+        <div className={classNames.suggestionsLoading} role="status">
+          {props.renderLoading
+            ? props.renderLoading(query)
+            : props.getMessage('suggestionsLoading', { query })}
+        </div>
+      );
+    }
+    if (error) {
+      return (
+        <div className={classNames.suggestionsError} role="status">
+          {props.renderError
+            ? props.renderError(error, query)
+            : props.getMessage('suggestionsError', { query })}
+        </div>
+      );
+    }
+    if (props.showNoSuggestions && props.suggestions.length === 0) {
+      return (
+        <div className={classNames.suggestionsEmpty} role="status">
+          {props.renderNoSuggestions
+            ? props.renderNoSuggestions(query)
+            : props.getMessage('noSuggestions', { query })}
+        </div>
+      );
+    }
+    return null;
+  };
+
+  // Lays the options and group headers out as rows, with the offset of each
+  // row from the top of the list. Rows that were not rendered yet use the
+  // estimated height until they are measured.
+  getVirtualLayout = () => {
+    const { props } = this;
+    const { rowHeight, estimatedRowHeight } = this.getVirtualizeOptions();
+    const groupBy = props.groupBy || getGroupField;
+    const rows = [];
+    groupSuggestions(
+      props.suggestions.map((item, index) => ({ item, index })),
+      ({ item }) => groupBy(item)
+    ).forEach(({ group, suggestions }, groupIndex) => {
+      if (group !== undefined) {
+        rows.push({ key: `group-${groupIndex}`, group, groupIndex });
+      }
+      suggestions.forEach(({ index }) => rows.push({ key: index, index }));
+    });
+    if (props.newTagLabel) {
+      const index = props.suggestions.length;
+      rows.push({ key: index, index });
+    }
+
+    const offsets = [0];
+    rows.forEach((row, i) => {
+      offsets.push(
+        offsets[i] +
+          (rowHeight || this.rowHeights[row.key] || estimatedRowHeight)
+      );
+    });
+    return { rows, offsets };
+  };
+
+  getVirtualizeOptions = () => {
+    const { virtualize } = this.props;
+    return {
+      ...DEFAULT_VIRTUALIZE_OPTIONS,
+      ...(typeof virtualize === 'object' ? virtualize : {}),
+    };
+  };
+
+  // Scrolls the virtual list to the selected option, which may not be
+  // rendered yet
+  scrollToSelectedRow = () => {
+    const { rows, offsets } = this.getVirtualLayout();
+    const row = rows.findIndex(
+      ({ index }) => index === this.props.selectedIndex
     );
+    if (row === -1) {
+      return;
+    }
+    const viewportHeight =
+      this.listbox.clientHeight || this.getVirtualizeOptions().height;
+    let { scrollTop } = this.listbox;
+    if (offsets[row] < scrollTop) {
+      scrollTop = offsets[row];
+    } else if (offsets[row + 1] > scrollTop + viewportHeight) {
+      scrollTop = offsets[row + 1] - viewportHeight;
+    }
+    this.scrollVirtualList(scrollTop);
+  };
+
+  scrollVirtualList = (scrollTop) => {
+    this.listbox.scrollTop = scrollTop;
+    this.setState({ scrollTop });
+  };
+
+  // Stores the heights of the rendered rows, re-rendering when one changed
+  measureRows = () => {
+    if (this.getVirtualizeOptions().rowHeight) {
+      return;
+    }
+    let hasChanged = false;
+    Object.keys(this.rowElements).forEach((key) => {
+      const element = this.rowElements[key];
+      const height = element ? element.offsetHeight : 0;
+      if (height && height !== this.rowHeights[key]) {
+        this.rowHeights[key] = height;
+        hasChanged = true;
+      }
+    });
+    if (hasChanged) {
+      this.forceUpdate();
+    }
+  };
+
+  handleScroll = (event) => {
+    this.setState({ scrollTop: event.currentTarget.scrollTop });
+  };
+
+  renderGroupHeader = (group) => {
+    const { props } = this;
+    return props.renderGroupHeader ? props.renderGroupHeader(group) : group;
+  };
+
+  renderOption = (i, propGetters, extraProps = {}) => {
+    const { props } = this;
+    const isCreateOption = i === props.suggestions.length;
+    return (
+      <li
+        key={i}
+        {...propGetters.getSuggestionProps(i)}
+        className={ClassNames({
+          [props.classNames.createSuggestion]: isCreateOption,
+          [props.classNames.activeSuggestion]: i === props.selectedIndex,
+          [props.classNames.suggestionParent]:
+            !isCreateOption &&
+            !!props.hasChildren &&
+            props.hasChildren(props.suggestions[i]),
+        })}
+        {...extraProps}>
+        {isCreateOption
+          ? props.getMessage('createTag', { label: props.newTagLabel })
+          : this.renderSuggestion(props.suggestions[i], props.query)}
+      </li>
+    );
+  };
+
+  // Only renders the rows in view, between spacers taking the place of the
+  // rows above and below
+  renderVirtualList = (propGetters) => {
+    const { props } = this;
+    const { height, overscan } = this.getVirtualizeOptions();
+    const { rows, offsets } = this.getVirtualLayout();
+    const { scrollTop } = this.state;
+    const optionCount = props.suggestions.length + (props.newTagLabel ? 1 : 0);
+
+    const firstRow = sortedIndex(offsets, scrollTop + 1) - 1;
+    const lastRow = sortedIndex(offsets, scrollTop + height);
+    const start = Math.max(firstRow - overscan, 0);
+    const end = Math.min(lastRow + overscan, rows.length);
+
+    this.rowElements = {};
+    const items = rows.slice(start, end).map((row) => {
+      const ref = (element) => {
+        this.rowElements[row.key] = element;
+      };
+      if (row.index !== undefined) {
+        return this.renderOption(row.index, propGetters, {
+          ref,
+          'aria-setsize': optionCount,
+          'aria-posinset': row.index + 1,
+        });
+      }
+      return (
+        <li
+          key={row.key}
+          ref={ref}
+          {...propGetters.getSuggestionGroupHeaderProps(row.groupIndex)}
+          className={props.classNames.suggestionsGroupHeader}>
+          {this.renderGroupHeader(row.group)}
+        </li>
+      );
+    });
+
+    return (
+      <ul
+        {...propGetters.getListboxProps({
+          ref: (elem) => {
+            this.listbox = elem;
+          },
+          style: { maxHeight: height, overflowY: 'auto' },
+          onScroll: this.handleScroll,
+        })}>
+        {start > 0 && (
+          <li
+            key="before"
+            role="presentation"
+            style={{ height: offsets[start] }}
+          />
+        )}
+        {items}
+        {end < rows.length && (
+          <li
+            key="after"
+            role="presentation"
+            style={{ height: offsets[rows.length] - offsets[end] }}
+          />
+        )}
+      </ul>
+    );
+  };
+
+  render() {
+    const { props } = this;
+
+    const optionCount = props.suggestions.length + (props.newTagLabel ? 1 : 0);
 
     // use the override, if provided
     const shouldRenderSuggestions =
       props.shouldRenderSuggestions || this.shouldRenderSuggestions;
-    if (suggestions.length === 0 || !shouldRenderSuggestions(props.query)) {
+    const status = this.renderStatus();
+    // browsed suggestions are shown whatever the query
+    if (
+      (optionCount === 0 && !status) ||
+      (!props.isBrowsing && !shouldRenderSuggestions(props.query))
+    ) {
       return null;
     }
 
+    let listbox = null;
+    if (optionCount > 0) {
+      const propGetters = this.getPropGetters();
+      listbox = props.virtualize ? (
+        this.renderVirtualList(propGetters)
+      ) : (
+        <ul {...propGetters.getListboxProps()}>
+          {this.renderGroups(
+            range(optionCount).map((i) => this.renderOption(i, propGetters)),
+            propGetters
+          )}
+        </ul>
+      );
+    }
+
     return (
       <div
         ref={(elem) => {
           this.suggestionsContainer = elem;
         }}
         className={this.props.classNames.suggestions}>
-        <ul> {suggestions} </ul>
+        {status}
+        {listbox}
       </div>
     );
   }
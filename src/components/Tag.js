@@ -1,31 +1,201 @@
-import React, { useRef } from 'react';
-import { useDrag, useDrop } from 'react-dnd';
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { DndContext, useDrag, useDrop } from 'react-dnd';
 import PropTypes from 'prop-types';
 import ClassNames from 'classnames';
 import { canDrag, canDrop } from './utils';
+import { DEFAULT_PATH_SEPARATOR, KEYS } from './constants';
 
 import RemoveComponent from './RemoveComponent';
 
 const ItemTypes = { TAG: 'tag' };
 
-const Tag = (props) => {
+const TagItem = (props) => {
   const tagRef = useRef(null);
-  const { readOnly, tag, classNames, index } = props;
+  const shouldRestoreFocus = useRef(false);
+  const isEditDone = useRef(false);
+  const { readOnly, tag, classNames, index, isEditing, isDragging } = props;
+  const label = props.tag[props.labelField];
+  const path = props.path || [];
+  const [editValue, setEditValue] = useState(label);
+
+  useEffect(() => {
+    // return focus to the tag when editing ends from the keyboard
+    if (!isEditing && shouldRestoreFocus.current) {
+      shouldRestoreFocus.current = false;
+      tagRef.current.focus();
+    }
+  }, [isEditing]);
+
+  if (props.connectDragDrop) {
+    props.connectDragDrop(tagRef);
+  }
+
+  const setTagElement = (element) => {
+    tagRef.current = element;
+    if (props.elementRef) {
+      props.elementRef(element);
+    }
+  };
+
+  const canEdit = props.editable && !readOnly && typeof label === 'string';
+
+  const startEditing = () => {
+    if (canEdit && !isEditing) {
+      isEditDone.current = false;
+      setEditValue(label);
+      props.onEditStart();
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    // ignore keys pressed on the remove button
+    if (event.target !== tagRef.current) {
+      return;
+    }
+    if (canEdit && !props.isGrabbed && KEYS.ENTER.includes(event.keyCode)) {
+      event.preventDefault();
+      startEditing();
+    } else if (props.onKeyDown) {
+      props.onKeyDown(event);
+    }
+  };
+
+  const handleEditKeyDown = (event) => {
+    // keep the keys from reaching the tag and the tag input
+    event.stopPropagation();
+    if (KEYS.ENTER.includes(event.keyCode)) {
+      event.preventDefault();
+      if (props.onEditCommit(editValue)) {
+        isEditDone.current = true;
+        shouldRestoreFocus.current = true;
+      }
+    } else if (event.keyCode === KEYS.ESCAPE) {
+      event.preventDefault();
+      isEditDone.current = true;
+      shouldRestoreFocus.current = true;
+      props.onEditCancel();
+    }
+  };
+
+  const handleEditBlur = () => {
+    if (isEditDone.current) {
+      return;
+    }
+    isEditDone.current = true;
+    if (!props.onEditCommit(editValue)) {
+      props.onEditCancel();
+    }
+  };
+
+  const { className = '' } = tag;
+  /* istanbul ignore next */
+  const opacity = isDragging ? 0 : 1;
+  const removeButton = (
+    <RemoveComponent
+      tag={props.tag}
+      className={classNames.remove}
+      removeComponent={props.removeComponent}
+      onRemove={props.onDelete}
+      readOnly={readOnly}
+      index={index}
+      ariaLabel={props.removeLabel}
+      buttonRef={props.removeRef}
+      onKeyDown={props.onRemoveKeyDown}
+    />
+  );
+
+  let content;
+  if (isEditing) {
+    content = (
+      <React.Fragment>
+        <input
+          className={classNames.editTagInputField}
+          value={editValue}
+          onChange={(event) => setEditValue(event.target.value)}
+          onKeyDown={handleEditKeyDown}
+          onBlur={handleEditBlur}
+          onClick={(event) => event.stopPropagation()}
+          aria-label={props.editLabel}
+          autoFocus
+        />
+        {removeButton}
+      </React.Fragment>
+    );
+  } else if (props.renderTag) {
+    // the wrapper keeps the drag and drop, click and keyboard handling
+    content = props.renderTag({
+      tag,
+      index,
+      label,
+      path,
+      isDragging: !!isDragging,
+      isSelected: props.isSelected,
+      removeButton,
+    });
+  } else {
+    content = (
+      <React.Fragment>
+        {path.length > 0 && (
+          <span className={classNames.tagPath}>
+            {path.join(props.pathSeparator)}
+            {props.pathSeparator}
+          </span>
+        )}
+        {label}
+        {removeButton}
+      </React.Fragment>
+    );
+  }
+
+  const tagComponent = (
+    <span
+      ref={setTagElement}
+      className={ClassNames('tag-wrapper', classNames.tag, className, {
+        [classNames.tagSelected]: props.isSelected,
+        [classNames.tagGrabbed]: props.isGrabbed,
+        [classNames.tagDuplicate]: props.isDuplicate,
+      })}
+      role="listitem"
+      aria-setsize={props.tagCount}
+      aria-posinset={index + 1}
+      style={{
+        opacity,
+        cursor: props.connectDragDrop && canDrag(props) ? 'move' : 'auto',
+      }}
+      onClick={props.onTagClicked}
+      onTouchStart={props.onTagClicked}
+      onDoubleClick={startEditing}
+      onKeyDown={handleKeyDown}
+      onFocus={props.onFocus}
+      onBlur={props.onBlur}
+      tabIndex={props.tabIndex}>
+      {content}
+    </span>
+  );
+  return tagComponent;
+};
+
+// Connects the tag to react-dnd, only rendered inside a DndProvider
+const DraggableTag = (props) => {
+  // react-dnd keeps the specs of the first render, which read the current
+  // props through this ref
+  const latestProps = useRef(props);
+  latestProps.current = props;
 
   const [{ isDragging }, drag] = useDrag(() => ({
     type: ItemTypes.TAG,
     collect: (monitor) => ({
       isDragging: !!monitor.isDragging(),
     }),
-    item: props,
-    canDrag: () => canDrag(props),
+    item: () => latestProps.current,
+    canDrag: () => canDrag(latestProps.current),
   }));
 
   const [, drop] = useDrop(() => ({
     accept: ItemTypes.TAG,
     drop: (item, monitor) => {
       const dragIndex = item.index;
-      const hoverIndex = index;
+      const hoverIndex = latestProps.current.index;
       if (dragIndex === hoverIndex) {
         return;
       }
@@ -48,40 +218,29 @@ const Tag = (props) => {
       // if (dragIndex > hoverIndex && hoverClientX > hoverMiddleX) {
       //   return;
       // }
-      props.moveTag(dragIndex, hoverIndex);
+      latestProps.current.moveTag(dragIndex, hoverIndex);
     },
     canDrop: (item) => canDrop(item),
   }));
 
-  drag(drop(tagRef));
-
-  const label = props.tag[props.labelField];
-  const { className = '' } = tag;
-  /* istanbul ignore next */
-  const opacity = isDragging ? 0 : 1;
-  const tagComponent = (
-    <span
-      ref={tagRef}
-      className={ClassNames('tag-wrapper', classNames.tag, className)}
-      style={{
-        opacity,
-        cursor: canDrag(props) ? 'move' : 'auto',
-      }}
-      onClick={props.onTagClicked}
-      onTouchStart={props.onTagClicked}>
-      {label}
-      <RemoveComponent
-        tag={props.tag}
-        className={classNames.remove}
-        removeComponent={props.removeComponent}
-        onRemove={props.onDelete}
-        readOnly={readOnly}
-        index={index}
-        onKeyDown={onkeydown}
-      />
-    </span>
+  return (
+    <TagItem
+      {...props}
+      isDragging={isDragging}
+      connectDragDrop={(node) => drag(drop(node))}
+    />
   );
-  return tagComponent;
+};
+
+DraggableTag.propTypes = {
+  index: PropTypes.number.isRequired,
+  moveTag: PropTypes.func,
+};
+
+const Tag = (props) => {
+  // without a DnD backend tags can still be reordered with the keyboard
+  const { dragDropManager } = useContext(DndContext);
+  return dragDropManager ? <DraggableTag {...props} /> : <TagItem {...props} />;
 };
 
 Tag.propTypes = {
@@ -94,15 +253,42 @@ Tag.propTypes = {
   }),
   moveTag: PropTypes.func,
   removeComponent: PropTypes.func,
+  renderTag: PropTypes.func,
+  path: PropTypes.arrayOf(PropTypes.node),
+  pathSeparator: PropTypes.string,
   onTagClicked: PropTypes.func,
   classNames: PropTypes.object,
   readOnly: PropTypes.bool,
   index: PropTypes.number.isRequired,
+  tagCount: PropTypes.number,
+  removeLabel: PropTypes.string,
+  editable: PropTypes.bool,
+  isEditing: PropTypes.bool,
+  editLabel: PropTypes.string,
+  onEditStart: PropTypes.func,
+  onEditCommit: PropTypes.func,
+  onEditCancel: PropTypes.func,
+  isSelected: PropTypes.bool,
+  isGrabbed: PropTypes.bool,
+  isDuplicate: PropTypes.bool,
+  tabIndex: PropTypes.number,
+  onKeyDown: PropTypes.func,
+  onRemoveKeyDown: PropTypes.func,
+  onFocus: PropTypes.func,
+  onBlur: PropTypes.func,
+  elementRef: PropTypes.func,
+  removeRef: PropTypes.func,
 };
 
 Tag.defaultProps = {
   labelField: 'text',
+  pathSeparator: DEFAULT_PATH_SEPARATOR,
   readOnly: false,
+  editable: false,
+  isEditing: false,
+  isSelected: false,
+  isGrabbed: false,
+  isDuplicate: false,
 };
 
 export default Tag;
@@ -4,9 +4,15 @@ export const KEYS = {
   BACKSPACE: 8,
   UP_ARROW: 38,
   DOWN_ARROW: 40,
+  LEFT_ARROW: 37,
+  RIGHT_ARROW: 39,
+  HOME: 36,
+  END: 35,
+  DELETE: 46,
   ESCAPE: 27,
   SPACE: 32,
   COMMA: 188,
+  Z: 90,
 };
 
 export const DEFAULT_PLACEHOLDER = 'Press enter to add new tag';
@@ -19,9 +25,123 @@ export const DEFAULT_CLASSNAMES = {
   tagInputField: 'ReactTags__tagInputField',
   selected: 'ReactTags__selected',
   tag: 'ReactTags__tag',
+  tagSelected: 'ReactTags__tagSelected',
+  tagGrabbed: 'ReactTags__tagGrabbed',
+  tagDuplicate: 'ReactTags__tagDuplicate',
+  tagPath: 'ReactTags__tagPath',
   remove: 'ReactTags__remove',
+  editTagInputField: 'ReactTags__editTagInputField',
   suggestions: 'ReactTags__suggestions',
   activeSuggestion: 'ReactTags__activeSuggestion',
+  createSuggestion: 'ReactTags__createSuggestion',
+  suggestionsGroup: 'ReactTags__suggestionsGroup',
+  suggestionsGroupHeader: 'ReactTags__suggestionsGroupHeader',
+  suggestionParent: 'ReactTags__suggestionParent',
+  suggestionPath: 'ReactTags__suggestionPath',
+  suggestionsLoading: 'ReactTags__suggestionsLoading',
+  suggestionsError: 'ReactTags__suggestionsError',
+  suggestionsEmpty: 'ReactTags__suggestionsEmpty',
+  limitReached: 'ReactTags__limitReached',
+  pastePreview: 'ReactTags__pastePreview',
+  undoNotice: 'ReactTags__undoNotice',
+  error: 'ReactTags__error',
+  warning: 'ReactTags__warning',
+};
+
+export const DEFAULT_LOAD_SUGGESTIONS_DEBOUNCE = 250;
+
+export const DEFAULT_MIN_QUERY_LENGTH = 2;
+
+export const DEFAULT_PATH_SEPARATOR = ' › ';
+
+export const DEFAULT_MAX_RECENT_SUGGESTIONS = 5;
+
+// Number of changes that can be undone
+export const MAX_HISTORY_SIZE = 100;
+
+export const DEFAULT_UNDO_NOTICE_DURATION = 5000;
+
+export const DEFAULT_VIRTUALIZE_OPTIONS = {
+  height: 300,
+  estimatedRowHeight: 32,
+  overscan: 5,
+};
+
+/**
+ * English defaults for every user facing and screen reader string. Messages
+ * can interpolate values with {name} placeholders, and plural messages are
+ * objects keyed by Intl.PluralRules category (or "=<count>" for exact
+ * counts).
+ */
+export const DEFAULT_MESSAGES = {
+  placeholder: DEFAULT_PLACEHOLDER,
+  tagList: { one: '{count} tag', other: '{count} tags' },
+  removeTag:
+    'Tag at index {index} with value {id} focussed. Press backspace to remove',
+  tagDeleted: 'Tag at index {index} with value {id} deleted.',
+  tagsDeleted: { one: '{count} tag deleted.', other: '{count} tags deleted.' },
+  tagsSelected: {
+    one: '{count} tag selected.',
+    other: '{count} tags selected.',
+  },
+  tagGrabbed:
+    'Tag {label} grabbed, position {position} of {count}. Use the arrow keys to move it, space to drop it and escape to cancel.',
+  tagMoved: 'Tag {label} moved to position {position} of {count}.',
+  tagDropped: 'Tag {label} dropped at position {position} of {count}.',
+  tagMoveCancelled:
+    'Reordering cancelled, tag {label} returned to position {position} of {count}.',
+  editTag: 'Edit tag {label}',
+  tagUpdated: 'Tag at index {index} updated to {label}.',
+  inputFocused: 'Input focussed. Press enter to add a new tag',
+  suggestionsLoading: 'Loading suggestions...',
+  suggestionsError: 'Unable to load suggestions',
+  noSuggestions: 'No matching suggestions',
+  invalidTag: '{label} is not a valid tag',
+  createTag: 'Create “{label}”',
+  tagNotAllowed: 'Not one of the suggestions: {label}',
+  duplicateTag: 'Tag {label} is already added.',
+  duplicateTagMoved: 'Tag {label} is already added, moved to the end.',
+  suggestionsBrowsed: {
+    one: '{label}, {count} suggestion. Press left to go back.',
+    other: '{label}, {count} suggestions. Press left to go back.',
+  },
+  topLevelSuggestions: {
+    one: '{count} top level suggestion.',
+    other: '{count} top level suggestions.',
+  },
+  relatedTagsRemoved: {
+    one: '{count} related tag removed.',
+    other: '{count} related tags removed.',
+  },
+  recentSuggestions: 'Recent',
+  pastePreview: {
+    one: 'Add {count} pasted tag?',
+    other: 'Add {count} pasted tags?',
+  },
+  confirmPaste: 'Add',
+  cancelPaste: 'Cancel',
+  undoNotice: {
+    one: 'Tag {label} removed',
+    other: '{count} tags removed',
+  },
+  undo: 'Undo',
+  changesUndone: {
+    one: '{count} change undone.',
+    other: '{count} changes undone.',
+  },
+  changesRedone: {
+    one: '{count} change redone.',
+    other: '{count} changes redone.',
+  },
+  limitReached: {
+    one: 'Limit of {count} tag reached',
+    other: 'Limit of {count} tags reached',
+  },
+  tagsRequired: 'Please add a tag.',
+  tooFewTags: {
+    one: 'Please add at least {count} tag.',
+    other: 'Please add at least {count} tags.',
+  },
 };
 
 export const INPUT_FIELD_POSITIONS = {
@@ -29,3 +149,60 @@ export const INPUT_FIELD_POSITIONS = {
   TOP: 'top',
   BOTTOM: 'bottom',
 };
+
+export const HIDDEN_INPUT_FORMATS = {
+  MULTIPLE: 'multiple',
+  COMMA: 'comma',
+  JSON: 'json',
+  IDS: 'ids',
+};
+
+export const CREATION_POLICIES = {
+  ANY: 'any',
+  SUGGESTIONS_ONLY: 'suggestionsOnly',
+  CONFIRM: 'confirm',
+};
+
+export const DUPLICATE_KEYS = {
+  ID: 'id',
+  LABEL: 'label',
+};
+
+export const DUPLICATE_ACTIONS = {
+  IGNORE: 'ignore',
+  HIGHLIGHT: 'highlight',
+  MOVE_TO_END: 'moveToEnd',
+};
+
+export const DEFAULT_DUPLICATE_POLICY = {
+  compareBy: DUPLICATE_KEYS.ID,
+  action: DUPLICATE_ACTIONS.IGNORE,
+  highlightDuration: 1000,
+};
+
+// Order of the tags: where added tags are inserted
+export const TAG_SORTS = {
+  INSERTION: 'insertion',
+  ALPHA: 'alpha',
+};
+
+// Tags removed when a tag is added from hierarchical suggestions
+export const RELATED_TAGS = {
+  DESCENDANTS: 'descendants',
+  ANCESTORS: 'ancestors',
+};
+
+export const MATCH_STRATEGIES = {
+  PREFIX: 'prefix',
+  SUBSTRING: 'substring',
+  FUZZY: 'fuzzy',
+};
+
+// Which differences between two texts are significant when matching
+// suggestions and detecting duplicate tags, like Intl.Collator sensitivity
+export const SENSITIVITIES = {
+  BASE: 'base',
+  ACCENT: 'accent',
+  CASE: 'case',
+  VARIANT: 'variant',
+};
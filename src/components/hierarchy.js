@@ -0,0 +1,105 @@
+/**
+ * Whether suggestions form a tree, through the parentId of a suggestion or
+ * its nested children
+ * @param {Array<object>} suggestions Suggestions passed to the component
+ * @returns {boolean} True when a suggestion has a parent or children
+ */
+export function isHierarchical(suggestions) {
+  return suggestions.some(
+    (suggestion) =>
+      (suggestion.parentId !== undefined && suggestion.parentId !== null) ||
+      Array.isArray(suggestion.children)
+  );
+}
+
+/**
+ * Flattens hierarchical suggestions depth first and indexes them by id.
+ * Nested children get the id of their parent as parentId, and lose their
+ * children field so that the tags created from them stay flat. Suggestions
+ * whose parent is unknown are roots.
+ * @param {Array<object>} suggestions Suggestions with a parentId or children
+ * @returns {object} Hierarchy with the flattened items and lookups
+ */
+export function createHierarchy(suggestions) {
+  const items = [];
+  const itemsById = new Map();
+
+  const addItem = (suggestion, parentId) => {
+    const { children, ...item } = suggestion;
+    if (parentId !== undefined) {
+      item.parentId = parentId;
+    }
+    items.push(item);
+    itemsById.set(String(item.id), item);
+    if (Array.isArray(children)) {
+      children.forEach((child) => addItem(child, item.id));
+    }
+  };
+  suggestions.forEach((suggestion) => addItem(suggestion));
+
+  const getItem = (id) => itemsById.get(String(id));
+
+  const getParent = (item) =>
+    item.parentId === undefined || item.parentId === null
+      ? undefined
+      : getItem(item.parentId);
+
+  const childrenById = new Map();
+  const roots = [];
+  items.forEach((item) => {
+    const parent = getParent(item);
+    if (!parent) {
+      roots.push(item);
+      return;
+    }
+    const key = String(parent.id);
+    if (!childrenById.has(key)) {
+      childrenById.set(key, []);
+    }
+    childrenById.get(key).push(item);
+  });
+
+  // Children of a suggestion, or the roots for a null id
+  const getChildren = (id) =>
+    id === null ? roots : childrenById.get(String(id)) || [];
+
+  const hasChildren = (item) => getChildren(item.id).length > 0;
+
+  // Ancestors from the root down to the parent, ignoring cycles
+  const getAncestors = (item) => {
+    const ancestors = [];
+    const visited = new Set([item]);
+    let parent = getParent(item);
+    while (parent && !visited.has(parent)) {
+      visited.add(parent);
+      ancestors.unshift(parent);
+      parent = getParent(parent);
+    }
+    return ancestors;
+  };
+
+  const getDescendants = (item) => {
+    const descendants = [];
+    const visited = new Set([item]);
+    const addChildren = (parent) =>
+      getChildren(parent.id).forEach((child) => {
+        if (!visited.has(child)) {
+          visited.add(child);
+          descendants.push(child);
+          addChildren(child);
+        }
+      });
+    addChildren(item);
+    return descendants;
+  };
+
+  return {
+    items,
+    getItem,
+    getParent,
+    getChildren,
+    hasChildren,
+    getAncestors,
+    getDescendants,
+  };
+}
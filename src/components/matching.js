@@ -0,0 +1,349 @@
+import { MATCH_STRATEGIES, SENSITIVITIES } from './constants';
+
+// Blocks of combining diacritical marks, as [first, last] code points
+const COMBINING_MARK_RANGES = [
+  [0x0300, 0x036f],
+  [0x1ab0, 0x1aff],
+  [0x1dc0, 0x1dff],
+  [0x20d0, 0x20ff],
+  [0xfe20, 0xfe2f],
+];
+const WORD = /\S+/g;
+
+const SUBSEQUENCE_BASE_SCORE = 1000;
+const TYPO_BASE_SCORE = 500;
+
+const isCombiningMark = (char) => {
+  const code = char.charCodeAt(0);
+  return COMBINING_MARK_RANGES.some(
+    ([first, last]) => code >= first && code <= last
+  );
+};
+
+const isAscii = (chars) => {
+  for (let i = 0; i < chars.length; i++) {
+    if (chars.charCodeAt(i) > 0x7f) {
+      return false;
+    }
+  }
+  return true;
+};
+
+const removeCombiningMarks = (chars) =>
+  Array.from(chars)
+    .filter((char) => !isCombiningMark(char))
+    .join('');
+
+/**
+ * Folds a string into the form used to compare it with other strings, while
+ * keeping track of where every resulting character came from in the
+ * original. Compatibility characters are decomposed (e.g. full-width "Ａ" ->
+ * "A", except with the variant sensitivity), then case and accents are
+ * removed unless the sensitivity keeps them. Case follows the rules of the
+ * locale, e.g. "I" -> "ı" in Turkish.
+ * @param {string} text Text to normalize
+ * @param {string} sensitivity One of SENSITIVITIES, "base" by default
+ * @param {string} locale BCP 47 language tag used for case folding
+ * @returns {{text: string, indexMap: Array<number>}} Normalized text and
+ * the original index of each of its characters (plus one trailing entry
+ * for the end of the string)
+ */
+export function normalizeText(text, sensitivity = SENSITIVITIES.BASE, locale) {
+  const ignoreCase =
+    sensitivity === SENSITIVITIES.BASE || sensitivity === SENSITIVITIES.ACCENT;
+  const ignoreAccents =
+    sensitivity === SENSITIVITIES.BASE || sensitivity === SENSITIVITIES.CASE;
+  const form = sensitivity === SENSITIVITIES.VARIANT ? 'NFD' : 'NFKD';
+  let normalized = '';
+  const indexMap = [];
+  let i = 0;
+  while (i < text.length) {
+    // A character and the combining marks following it are folded together,
+    // so that precomposed and decomposed accents give the same result
+    let end = i + (text.codePointAt(i) > 0xffff ? 2 : 1);
+    while (end < text.length && isCombiningMark(text[end])) {
+      end++;
+    }
+    let chars = text.slice(i, end);
+    const isAsciiChars = isAscii(chars);
+    if (!isAsciiChars) {
+      chars = chars.normalize(form);
+    }
+    if (ignoreCase) {
+      chars = chars.toLocaleLowerCase(locale);
+    }
+    if (!isAsciiChars) {
+      if (ignoreAccents) {
+        chars = removeCombiningMarks(chars);
+      }
+      chars = chars.normalize('NFC');
+    }
+    for (let j = 0; j < chars.length; j++) {
+      normalized += chars[j];
+      indexMap.push(i);
+    }
+    i = end;
+  }
+  indexMap.push(text.length);
+  return { text: normalized, indexMap };
+}
+
+/**
+ * Maps ranges in a normalized string back to the original string
+ * @param {Array<Array<number>>} ranges [start, end) ranges in normalized text
+ * @param {Array<number>} indexMap Index map returned by normalizeText
+ * @returns {Array<Array<number>>} [start, end) ranges in the original text
+ */
+function toOriginalRanges(ranges, indexMap) {
+  return ranges.map(([start, end]) => [indexMap[start], indexMap[end - 1] + 1]);
+}
+
+/**
+ * Merges adjacent ranges, e.g. [[0, 1], [1, 2]] -> [[0, 2]]
+ * @param {Array<Array<number>>} ranges Sorted [start, end) ranges
+ * @returns {Array<Array<number>>} Merged ranges
+ */
+function mergeRanges(ranges) {
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && last[1] >= range[0]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([range[0], range[1]]);
+    }
+    return merged;
+  }, []);
+}
+
+const isWordBoundary = (text, index) =>
+  index === 0 || /[\s\-_,./()]/.test(text[index - 1]);
+
+/**
+ * Optimal string alignment distance: Levenshtein distance that also
+ * counts a transposition of two adjacent characters as a single edit.
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Number of edits needed to turn a into b
+ */
+export function editDistance(a, b) {
+  const d = [];
+  for (let i = 0; i <= a.length; i++) {
+    d[i] = [i];
+  }
+  for (let j = 0; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Matches labels starting with the query
+ * @param {string} query Query typed by the user
+ * @param {string} label Label of the suggestion
+ * @param {object} options Locale and sensitivity of the comparison, case
+ * insensitive by default
+ * @returns {object|null} Match with score and ranges, or null
+ */
+export function prefixScorer(query, label, options = {}) {
+  const { sensitivity = SENSITIVITIES.ACCENT, locale } = options;
+  const q = normalizeText(query, sensitivity, locale).text;
+  const l = normalizeText(label, sensitivity, locale);
+  if (l.text.indexOf(q) !== 0) {
+    return null;
+  }
+  const ranges = q.length ? [[0, q.length]] : [];
+  return { score: 1, ranges: toOriginalRanges(ranges, l.indexMap) };
+}
+
+/**
+ * Matches labels containing the query, ranking matches at the start of
+ * the label above matches in the middle.
+ * @param {string} query Query typed by the user
+ * @param {string} label Label of the suggestion
+ * @param {object} options Locale and sensitivity of the comparison, case
+ * insensitive by default
+ * @returns {object|null} Match with score and ranges, or null
+ */
+export function substringScorer(query, label, options = {}) {
+  const { sensitivity = SENSITIVITIES.ACCENT, locale } = options;
+  const q = normalizeText(query, sensitivity, locale).text;
+  const l = normalizeText(label, sensitivity, locale);
+  const index = l.text.indexOf(q);
+  if (index === -1) {
+    return null;
+  }
+  const ranges = [];
+  for (let i = index; q.length && i !== -1; i = l.text.indexOf(q, i)) {
+    ranges.push([i, i + q.length]);
+    i += q.length;
+  }
+  return {
+    score: index === 0 ? 2 : 1,
+    ranges: toOriginalRanges(ranges, l.indexMap),
+  };
+}
+
+/**
+ * Matches the query as a subsequence of the label, rewarding consecutive
+ * characters and characters at the start of words.
+ * @param {string} query Normalized query
+ * @param {string} label Normalized label
+ * @returns {object|null} Match with score and normalized ranges, or null
+ */
+function subsequenceMatch(query, label) {
+  const ranges = [];
+  let score = SUBSEQUENCE_BASE_SCORE;
+  let position = 0;
+  for (let i = 0; i < query.length; i++) {
+    const index = label.indexOf(query[i], position);
+    if (index === -1) {
+      return null;
+    }
+    const isConsecutive = i > 0 && index === position;
+    score +=
+      1 + (isConsecutive ? 5 : 0) + (isWordBoundary(label, index) ? 8 : 0);
+    score -= i > 0 ? (index - position) * 0.1 : index * 0.2;
+    ranges.push([index, index + 1]);
+    position = index + 1;
+  }
+  // prefer shorter labels when everything else is equal
+  score -= label.length * 0.01;
+  return { score, ranges: mergeRanges(ranges) };
+}
+
+/**
+ * Matches every word of the query against the start of a different word
+ * of the label, allowing a few typos per word.
+ * @param {string} query Normalized query
+ * @param {string} label Normalized label
+ * @returns {object|null} Match with score and normalized ranges, or null
+ */
+function typoMatch(query, label) {
+  const words = [];
+  let match;
+  WORD.lastIndex = 0;
+  while ((match = WORD.exec(label))) {
+    words.push({ text: match[0], index: match.index });
+  }
+
+  const used = [];
+  const ranges = [];
+  let errors = 0;
+  const tokens = query.match(WORD) || [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const allowedErrors = token.length < 3 ? 0 : token.length <= 5 ? 1 : 2;
+    let best = null;
+    words.forEach((word, wordIndex) => {
+      if (used.includes(wordIndex)) {
+        return;
+      }
+      [token.length - 1, token.length, token.length + 1].forEach((length) => {
+        const prefix = word.text.slice(0, length);
+        const distance = editDistance(token, prefix);
+        if (distance <= allowedErrors && (!best || distance < best.distance)) {
+          best = { wordIndex, distance, length: prefix.length };
+        }
+      });
+    });
+    if (!best) {
+      return null;
+    }
+    used.push(best.wordIndex);
+    errors += best.distance;
+    const start = words[best.wordIndex].index;
+    ranges.push([start, start + best.length]);
+  }
+  return {
+    score: TYPO_BASE_SCORE - errors * 100 - label.length * 0.01,
+    ranges: mergeRanges(ranges.sort((a, b) => a[0] - b[0])),
+  };
+}
+
+/**
+ * Typo tolerant matcher: accent and case insensitive subsequence matching,
+ * falling back to edit distance per word, e.g. "Germny" -> "Germany" and
+ * "new yrok" -> "New York". Case and accents are always ignored.
+ * @param {string} query Query typed by the user
+ * @param {string} label Label of the suggestion
+ * @param {object} options Locale used for case folding
+ * @returns {object|null} Match with score and ranges, or null
+ */
+export function fuzzyScorer(query, label, options = {}) {
+  const { locale } = options;
+  const q = normalizeText(query.trim(), SENSITIVITIES.BASE, locale).text;
+  const l = normalizeText(label, SENSITIVITIES.BASE, locale);
+  if (!q) {
+    return { score: 0, ranges: [] };
+  }
+  const match = subsequenceMatch(q, l.text) || typoMatch(q, l.text);
+  if (!match) {
+    return null;
+  }
+  return {
+    score: match.score,
+    ranges: toOriginalRanges(match.ranges, l.indexMap),
+  };
+}
+
+const SCORERS = {
+  [MATCH_STRATEGIES.PREFIX]: prefixScorer,
+  [MATCH_STRATEGIES.SUBSTRING]: substringScorer,
+  [MATCH_STRATEGIES.FUZZY]: fuzzyScorer,
+};
+
+/**
+ * Resolves the matchStrategy prop to a scorer function
+ * @param {string|Function} matchStrategy Name of a built-in strategy or a
+ * custom scorer
+ * @param {object} options Locale and sensitivity passed to the built-in
+ * scorers
+ * @returns {Function} Scorer
+ */
+export function getScorer(matchStrategy, options) {
+  if (typeof matchStrategy === 'function') {
+    return matchStrategy;
+  }
+  const scorer = SCORERS[matchStrategy] || substringScorer;
+  return options ? (query, label) => scorer(query, label, options) : scorer;
+}
+
+/**
+ * Scores every suggestion against the query and returns the matching ones,
+ * best match first. Suggestions with equal scores keep their order.
+ * A scorer may return null/false for no match, a number for a match
+ * without highlighting, or an object with a score and matched ranges.
+ * @param {string} query Query typed by the user
+ * @param {Array<object>} suggestions Suggestions to rank
+ * @param {string} labelField Property holding the label of a suggestion
+ * @param {Function} scorer Scorer returned by getScorer
+ * @returns {Array<{item: object, score: number, ranges: Array}>} Matches
+ */
+export function rankSuggestions(query, suggestions, labelField, scorer) {
+  return suggestions
+    .map((item, index) => {
+      const match = scorer(query, item[labelField]);
+      if (match === null || match === undefined || match === false) {
+        return null;
+      }
+      return typeof match === 'number'
+        ? { item, index, score: match, ranges: [] }
+        : { item, index, score: match.score, ranges: match.ranges || [] };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item, score, ranges }) => ({ item, score, ranges }));
+}
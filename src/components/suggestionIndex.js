@@ -0,0 +1,192 @@
+import { normalizeText } from './matching';
+import { MATCH_STRATEGIES, SENSITIVITIES } from './constants';
+
+// Length of the longest n-grams and prefixes indexed: shorter queries are
+// answered by their posting list alone
+const MAX_GRAM_LENGTH = 3;
+
+// Queries up to this length match the most suggestions, their results are
+// kept for the next time they are typed
+const MAX_CACHED_QUERY_LENGTH = 2;
+
+/**
+ * Adds an index to the posting list of an n-gram, once
+ * @param {Map<string, Array<number>>} postingLists Posting lists by n-gram
+ * @param {string} gram N-gram
+ * @param {number} index Index of the suggestion
+ */
+function addPosting(postingLists, gram, index) {
+  let postings = postingLists.get(gram);
+  if (!postings) {
+    postings = [];
+    postingLists.set(gram, postings);
+  }
+  if (postings[postings.length - 1] !== index) {
+    postings.push(index);
+  }
+}
+
+/**
+ * Adds the index of a key to the posting list of every n-gram it contains,
+ * and of every n-gram it starts with
+ * @param {object} index Posting lists of the grams and of the prefixes
+ * @param {string} key Normalized label
+ * @param {number} keyIndex Index of the suggestion
+ */
+function addGrams({ grams, prefixes }, key, keyIndex) {
+  for (let length = 1; length <= MAX_GRAM_LENGTH; length++) {
+    for (let i = 0; i + length <= key.length; i++) {
+      addPosting(grams, key.substr(i, length), keyIndex);
+    }
+    if (length <= key.length) {
+      addPosting(prefixes, key.substr(0, length), keyIndex);
+    }
+  }
+}
+
+/**
+ * Returns the shortest posting list of the longest n-grams of the query:
+ * every key containing the query is in it
+ * @param {Map<string, Array<number>>} grams Posting lists by n-gram
+ * @param {string} query Normalized query, not empty
+ * @returns {Array<number>} Candidate indexes in ascending order
+ */
+function getGramCandidates(grams, query) {
+  const length = Math.min(query.length, MAX_GRAM_LENGTH);
+  let candidates = null;
+  for (let i = 0; i + length <= query.length; i++) {
+    const postings = grams.get(query.substr(i, length)) || [];
+    if (!candidates || postings.length < candidates.length) {
+      candidates = postings;
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Indexes the labels of static suggestions once, so that the prefix and
+ * substring match strategies can filter them without scanning every label.
+ * Every n-gram and prefix of up to three characters has a posting list of
+ * the suggestions containing it or starting with it, in the order of the
+ * suggestions: shorter queries are answered by their posting list, and
+ * longer ones only check the labels of the rarest posting list of their
+ * n-grams. When the query grows, only the previous matches are checked
+ * again.
+ *
+ * Matches are ordered like rankSuggestions orders them for the prefix and
+ * substring scorers.
+ * @param {Array<object>} suggestions Suggestions to index
+ * @param {string} labelField Property holding the label of a suggestion
+ * @param {object} options Locale and sensitivity of the comparison, like
+ * the options of the scorers
+ * @returns {{search: Function}} Index whose search(query, matchStrategy)
+ * returns the matching suggestions, or null for strategies it does not
+ * support
+ */
+export function createSuggestionIndex(suggestions, labelField, options = {}) {
+  const { sensitivity = SENSITIVITIES.ACCENT, locale } = options;
+  const normalizeKey = (label) =>
+    normalizeText(String(label), sensitivity, locale).text;
+  const keys = suggestions.map((suggestion) =>
+    normalizeKey(suggestion[labelField])
+  );
+  const postingLists = { grams: new Map(), prefixes: new Map() };
+  keys.forEach((key, index) => addGrams(postingLists, key, index));
+  const { grams, prefixes } = postingLists;
+  const allIndexes = keys.map((key, index) => index);
+
+  // Matches of the previous query, narrowed down when the query grows
+  let previous = null;
+  const cachedResults = new Map();
+
+  // The previous matches when they contain every match of the query and
+  // are fewer than the other candidates
+  const getPreviousMatches = (query, matchStrategy, candidates) => {
+    if (!previous || previous.matchStrategy !== matchStrategy) {
+      return candidates;
+    }
+    const position = query.indexOf(previous.query);
+    const isNarrower =
+      matchStrategy === MATCH_STRATEGIES.PREFIX
+        ? position === 0
+        : position !== -1;
+    return isNarrower && previous.matches.length < candidates.length
+      ? previous.matches
+      : candidates;
+  };
+
+  const searchPrefix = (query) => {
+    if (query.length <= MAX_GRAM_LENGTH) {
+      return query ? prefixes.get(query) || [] : allIndexes;
+    }
+    const candidates = getPreviousMatches(
+      query,
+      MATCH_STRATEGIES.PREFIX,
+      prefixes.get(query.substr(0, MAX_GRAM_LENGTH)) || []
+    );
+    return candidates.filter((index) => keys[index].indexOf(query) === 0);
+  };
+
+  const searchSubstring = (query) => {
+    if (query.length <= MAX_GRAM_LENGTH) {
+      return query ? grams.get(query) || [] : allIndexes;
+    }
+    const candidates = getPreviousMatches(
+      query,
+      MATCH_STRATEGIES.SUBSTRING,
+      getGramCandidates(grams, query)
+    );
+    return candidates.filter((index) => keys[index].indexOf(query) !== -1);
+  };
+
+  const findResults = (normalizedQuery, matchStrategy) => {
+    let matches;
+    if (matchStrategy === MATCH_STRATEGIES.PREFIX) {
+      matches = searchPrefix(normalizedQuery);
+    } else if (matchStrategy === MATCH_STRATEGIES.SUBSTRING) {
+      matches = searchSubstring(normalizedQuery);
+    } else {
+      return null;
+    }
+    previous = { query: normalizedQuery, matchStrategy, matches };
+
+    if (matchStrategy === MATCH_STRATEGIES.PREFIX) {
+      return matches.map((index) => suggestions[index]);
+    }
+    // Labels starting with the query rank above the other matches
+    const starting = [];
+    const containing = [];
+    matches.forEach((index) => {
+      (keys[index].indexOf(normalizedQuery) === 0 ? starting : containing).push(
+        suggestions[index]
+      );
+    });
+    return starting.concat(containing);
+  };
+
+  // Results of short queries are shared by the searches: they must not be
+  // modified
+  const search = (query, matchStrategy) => {
+    const normalizedQuery = normalizeKey(query);
+    const cacheKey =
+      normalizedQuery.length <= MAX_CACHED_QUERY_LENGTH
+        ? `${matchStrategy}:${normalizedQuery}`
+        : null;
+    const cached = cacheKey && cachedResults.get(cacheKey);
+    if (cached) {
+      previous = {
+        query: normalizedQuery,
+        matchStrategy,
+        matches: cached.matches,
+      };
+      return cached.results;
+    }
+    const results = findResults(normalizedQuery, matchStrategy);
+    if (cacheKey && results) {
+      cachedResults.set(cacheKey, { matches: previous.matches, results });
+    }
+    return results;
+  };
+
+  return { search };
+}
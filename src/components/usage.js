@@ -0,0 +1,143 @@
+// Number of tags whose usage is remembered
+const MAX_USAGE_ENTRIES = 200;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Storage adapter keeping the items in memory, with the getItem and setItem
+ * methods of the Web Storage API
+ * @returns {{getItem: Function, setItem: Function}} Storage
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+  };
+}
+
+/**
+ * Returns localStorage, or a memory storage where it is not available (e.g.
+ * during server side rendering or when the browser blocks it)
+ * @returns {{getItem: Function, setItem: Function}} Storage
+ */
+export function getDefaultStorage() {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return window.localStorage;
+    }
+  } catch (error) {
+    // accessing localStorage throws when cookies are blocked
+  }
+  return createMemoryStorage();
+}
+
+/**
+ * Reads the usage of the tags stored under a key
+ * @param {{getItem: Function}} storage Storage adapter
+ * @param {string} key Storage key
+ * @returns {Array<object>} Entries with the id, tag, count and lastUsed time
+ * of each used tag, the most recently used last
+ */
+export function readUsage(storage, key) {
+  try {
+    const entries = JSON.parse(storage.getItem(key));
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Stores the usage of the tags, ignoring storage errors such as an exceeded
+ * quota
+ * @param {{setItem: Function}} storage Storage adapter
+ * @param {string} key Storage key
+ * @param {Array<object>} entries Entries returned by recordUsage
+ */
+export function writeUsage(storage, key, entries) {
+  try {
+    storage.setItem(key, JSON.stringify(entries));
+  } catch (error) {
+    // usage is only a hint for the ranking
+  }
+}
+
+/**
+ * Counts one more use of a tag and moves it to the end of the entries
+ * @param {Array<object>} entries Entries returned by readUsage
+ * @param {object} tag Tag that was added
+ * @param {number} now Current time in milliseconds
+ * @returns {Array<object>} New entries
+ */
+export function recordUsage(entries, tag, now = Date.now()) {
+  const id = String(tag.id);
+  const entry = entries.find((existing) => existing.id === id);
+  return [
+    ...entries.filter((existing) => existing !== entry),
+    { id, tag, count: entry ? entry.count + 1 : 1, lastUsed: now },
+  ].slice(-MAX_USAGE_ENTRIES);
+}
+
+/**
+ * Scores how often and how recently a tag was used: every use counts less
+ * as days go by
+ * @param {object} entry Usage entry
+ * @param {number} now Current time in milliseconds
+ * @returns {number} Score, higher for tags used more and more recently
+ */
+export function getUsageScore(entry, now = Date.now()) {
+  return entry.count / (1 + Math.max(now - entry.lastUsed, 0) / DAY);
+}
+
+/**
+ * Ranks the used suggestions higher among the ones matching the query as
+ * well, the ones used more and more recently first. The usage score is
+ * scaled below 1 and added to the match score, so that it only breaks ties
+ * between equally good matches, e.g. a used substring match stays after an
+ * unused prefix match. Suggestions with equal scores keep their order.
+ * @param {Array<object>} suggestions Matching suggestions, best match first
+ * @param {Array<object>} entries Usage entries
+ * @param {number} now Current time in milliseconds
+ * @param {Function} getMatchScore Returns the match score of a suggestion,
+ * higher for better matches
+ * @returns {Array<object>} Reordered suggestions
+ */
+export function sortByUsage(
+  suggestions,
+  entries,
+  now = Date.now(),
+  getMatchScore = () => 0
+) {
+  if (entries.length === 0) {
+    return suggestions;
+  }
+  const scores = new Map(
+    entries.map((entry) => [entry.id, getUsageScore(entry, now)])
+  );
+  return suggestions
+    .map((suggestion, index) => {
+      const usageScore = scores.get(String(suggestion.id)) || 0;
+      return {
+        suggestion,
+        index,
+        score: getMatchScore(suggestion) + usageScore / (1 + usageScore),
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ suggestion }) => suggestion);
+}
+
+/**
+ * Lists the used tags, most recently used first
+ * @param {Array<object>} entries Usage entries
+ * @returns {Array<object>} Tags
+ */
+export function getRecentTags(entries) {
+  return entries
+    .slice()
+    .reverse()
+    .map(({ tag }) => tag);
+}
@@ -0,0 +1,2278 @@
+import { useEffect, useReducer, useRef } from 'react';
+import debounce from 'lodash/debounce';
+import isEqual from 'lodash/isEqual';
+import noop from 'lodash/noop';
+import range from 'lodash/range';
+import uniqBy from 'lodash/uniqBy';
+import uniqueId from 'lodash/uniqueId';
+
+import {
+  buildRegExpFromDelimiters,
+  callAll,
+  createSuggestionPropGetters,
+  formatMessage,
+  getOptionId,
+  groupSuggestions,
+  isDelimiterKey,
+  parsePastedText,
+} from './utils';
+import { getScorer, normalizeText, rankSuggestions } from './matching';
+import { createSuggestionIndex } from './suggestionIndex';
+import { createHierarchy, isHierarchical } from './hierarchy';
+import {
+  getDefaultStorage,
+  getRecentTags,
+  readUsage,
+  recordUsage,
+  sortByUsage,
+  writeUsage,
+} from './usage';
+
+//Constants
+import {
+  KEYS,
+  CREATION_POLICIES,
+  DEFAULT_LABEL_FIELD,
+  DEFAULT_LOAD_SUGGESTIONS_DEBOUNCE,
+  DEFAULT_DUPLICATE_POLICY,
+  DEFAULT_MAX_RECENT_SUGGESTIONS,
+  DEFAULT_MESSAGES,
+  DEFAULT_MIN_QUERY_LENGTH,
+  DEFAULT_PATH_SEPARATOR,
+  DEFAULT_UNDO_NOTICE_DURATION,
+  DUPLICATE_ACTIONS,
+  DUPLICATE_KEYS,
+  HIDDEN_INPUT_FORMATS,
+  INPUT_FIELD_POSITIONS,
+  MATCH_STRATEGIES,
+  MAX_HISTORY_SIZE,
+  RELATED_TAGS,
+  SENSITIVITIES,
+  TAG_SORTS,
+} from './constants';
+
+export const defaultProps = {
+  labelField: DEFAULT_LABEL_FIELD,
+  suggestions: [],
+  delimiters: [...KEYS.ENTER, KEYS.TAB],
+  autofocus: true,
+  inline: true, // TODO: Remove in v7.x.x
+  inputFieldPosition: INPUT_FIELD_POSITIONS.INLINE,
+  handleDelete: noop,
+  handleAddition: noop,
+  allowDeleteFromEmptyInput: true,
+  allowAdditionFromPaste: true,
+  autocomplete: false,
+  readOnly: false,
+  allowUnique: true,
+  allowDragDrop: true,
+  editable: false,
+  inputProps: {},
+  loadSuggestionsDebounce: DEFAULT_LOAD_SUGGESTIONS_DEBOUNCE,
+  matchStrategy: MATCH_STRATEGIES.SUBSTRING,
+  sensitivity: SENSITIVITIES.ACCENT,
+  hiddenInputFormat: HIDDEN_INPUT_FORMATS.MULTIPLE,
+  required: false,
+  creationPolicy: CREATION_POLICIES.ANY,
+  pathSeparator: DEFAULT_PATH_SEPARATOR,
+  sortTags: TAG_SORTS.INSERTION,
+  maxRecentSuggestions: DEFAULT_MAX_RECENT_SUGGESTIONS,
+};
+
+// Applies the default props the same way React does for components
+const withDefaultProps = (props) => {
+  const result = { ...props };
+  Object.keys(defaultProps).forEach((key) => {
+    if (result[key] === undefined) {
+      result[key] = defaultProps[key];
+    }
+  });
+  return result;
+};
+
+// Merges partial updates into the state, like setState of class components
+const mergeState = (state, update) => ({ ...state, ...update });
+
+// Serializes the tags into the values of the hidden form inputs
+const serializeTags = (tags, format, labelField) => {
+  if (typeof format === 'function') {
+    return [format(tags)];
+  }
+  if (format === HIDDEN_INPUT_FORMATS.JSON) {
+    return [JSON.stringify(tags)];
+  }
+  if (format === HIDDEN_INPUT_FORMATS.IDS) {
+    return [tags.map((tag) => tag.id).join(',')];
+  }
+  const labels = tags.map((tag) => tag[labelField]);
+  return format === HIDDEN_INPUT_FORMATS.COMMA ? [labels.join(',')] : labels;
+};
+
+// Splits a change into the steps replayed by undo and redo. Adding a tag
+// that removed related tags is recorded as deleting them, then adding it.
+const getHistorySteps = (change, previousTags) => {
+  const { action, tag, index } = change;
+  if (action === 'update') {
+    return [{ action, tag, index, previousTag: previousTags[index] }];
+  }
+  if (action === 'reorder') {
+    return [{ action, tag, index, previousIndex: change.previousIndex }];
+  }
+  const removedIndexes = (change.removedTags || [])
+    .map((removedTag) => previousTags.indexOf(removedTag))
+    .sort((a, b) => b - a);
+  return [
+    ...removedIndexes.map((removedIndex) => ({
+      action: 'delete',
+      tag: previousTags[removedIndex],
+      index: removedIndex,
+    })),
+    { action, tag, index },
+  ];
+};
+
+// Step undoing the given one
+const invertHistoryStep = (step) => {
+  const { action, tag, index } = step;
+  if (action === 'update') {
+    return { action, tag: step.previousTag, index, previousTag: tag };
+  }
+  if (action === 'reorder') {
+    return { action, tag, index: step.previousIndex, previousIndex: index };
+  }
+  return { action: action === 'add' ? 'delete' : 'add', tag, index };
+};
+
+// Loads the suggestions of the last query typed during the given delay
+const debounceLoadSuggestions = (instance, wait) => {
+  instance.loadSuggestionsDebounce = wait;
+  instance.debouncedLoadSuggestions = debounce(
+    (query) => instance.latest.loadSuggestions(query),
+    wait
+  );
+};
+
+const createInstance = (props) => {
+  if (!props.inline) {
+    /* eslint-disable no-console */
+    console.warn(
+      '[Deprecation] The inline attribute is deprecated and will be removed in v7.x.x, please use inputFieldPosition instead.'
+    );
+    /* eslint-enable no-console */
+  }
+
+  const instance = {
+    id: uniqueId('ReactTags-'),
+    // Uncontrolled tags are read from this field rather than from the state,
+    // so that several changes made in one event (e.g. pasting) add up.
+    uncontrolledTags: props.defaultTags || [],
+    // Tags restored when the surrounding form is reset
+    initialTags:
+      props.tags !== undefined ? props.tags : props.defaultTags || [],
+    input: null,
+    tagElements: [],
+    removeElements: [],
+    pendingSuggestionsRequest: null,
+    // Values of the input when the tags being validated were submitted, by
+    // duplicate key
+    pendingValidations: new Map(),
+    // Tags changed by the current batch, see withHistoryBatch
+    batchTags: null,
+    // Steps of the changes that can be undone and redone. Changes made by
+    // one user action are recorded in a batch and undone together.
+    history: {
+      undoStack: [],
+      redoStack: [],
+      batch: null,
+      isReplaying: false,
+    },
+    isUnmounted: false,
+    // Callbacks of the latest render, for code running after a timeout or a
+    // promise and for callbacks that react-dnd keeps from the first render
+    latest: {},
+  };
+  debounceLoadSuggestions(instance, props.loadSuggestionsDebounce);
+  instance.moveTag = (dragIndex, hoverIndex) =>
+    instance.latest.moveTag(dragIndex, hoverIndex);
+  return instance;
+};
+
+const cancelSuggestionsRequest = (instance) => {
+  instance.debouncedLoadSuggestions.cancel();
+  const request = instance.pendingSuggestionsRequest;
+  instance.pendingSuggestionsRequest = null;
+  if (request && request.abort) {
+    request.abort();
+  }
+};
+
+/**
+ * Headless version of ReactTags: manages the tags, the query, suggestions,
+ * keyboard interactions and screen reader announcements, and returns the
+ * state together with prop getters to spread on custom markup.
+ * @param {object} userProps Same props as the ReactTags component
+ * @returns {object} State, actions and prop getters
+ */
+const useReactTags = (userProps) => {
+  const props = withDefaultProps(userProps);
+  const instanceRef = useRef(null);
+  if (instanceRef.current === null) {
+    instanceRef.current = createInstance(props);
+  }
+  const instance = instanceRef.current;
+  // Suggestions compared deeply, so that a new but equal array passed on
+  // every render is not filtered or indexed again
+  const previousSuggestions = useRef(props.suggestions);
+
+  const [state, setState] = useReducer(mergeState, null, () => ({
+    tags: instance.uncontrolledTags,
+    suggestions: props.suggestions,
+    query: '',
+    isFocused: false,
+    selectedIndex: -1,
+    selectionMode: false,
+    ariaLiveStatus: '',
+    isLoadingSuggestions: false,
+    suggestionsError: null,
+    validationError: null,
+    validationWarning: null,
+    isNewTagDismissed: false,
+    editingIndex: -1,
+    activeTagIndex: -1,
+    tagSelectionAnchor: -1,
+    grabbedTagIndex: -1,
+    grabOriginIndex: -1,
+    duplicateTag: null,
+    pendingPaste: null,
+    undoNotice: null,
+    // Suggestions browsed with the arrow keys: the children of parentId, or
+    // the roots for a null parentId
+    browseLevel: null,
+    isShowingRecent: false,
+  }));
+
+  const isControlled = () => props.tags !== undefined;
+
+  const getTags = () => {
+    if (instance.batchTags) {
+      return instance.batchTags;
+    }
+    return isControlled() ? props.tags : instance.uncontrolledTags;
+  };
+
+  // Handlers other than handleAddition and handleDelete are optional when the
+  // tags are managed by the component or through onChange
+  const canChangeTags = (handler) =>
+    !!handler || !!props.onChange || !isControlled();
+
+  // Stores uncontrolled tags and reports every change through onChange
+  const updateTags = (tags, change) => {
+    const { history } = instance;
+    if (change.action === 'reset') {
+      clearHistory();
+    } else if (!history.isReplaying) {
+      recordHistory(getHistorySteps(change, getTags()));
+    }
+    if (instance.batchTags) {
+      instance.batchTags = tags;
+    }
+    if (!isControlled()) {
+      instance.uncontrolledTags = tags;
+      setState({ tags });
+    }
+    if (props.onChange) {
+      props.onChange(tags, change);
+    }
+  };
+
+  const getMessage = (key, values = {}) => {
+    const { translate, messages, locale } = props;
+    if (translate) {
+      const translated = translate(key, values);
+      if (translated !== undefined && translated !== null) {
+        return translated;
+      }
+    }
+    const message =
+      messages && messages[key] !== undefined
+        ? messages[key]
+        : DEFAULT_MESSAGES[key];
+    return formatMessage(message, values, locale);
+  };
+
+  // Comparator keeping the tags sorted, or null for the insertion order
+  const getTagComparator = () => {
+    const { sortTags, labelField, locale } = props;
+    if (typeof sortTags === 'function') {
+      return sortTags;
+    }
+    if (sortTags === TAG_SORTS.ALPHA) {
+      return (a, b) =>
+        String(a[labelField]).localeCompare(String(b[labelField]), locale);
+    }
+    return null;
+  };
+  const tagComparator = getTagComparator();
+  const isAutoSorted = tagComparator !== null;
+
+  // Index at which a tag is added: after the tags sorting before it or
+  // equal to it, or at the end
+  const getInsertIndex = (tag, tags) => {
+    if (!isAutoSorted) {
+      return tags.length;
+    }
+    const index = tags.findIndex(
+      (existingTag) => tagComparator(tag, existingTag) < 0
+    );
+    return index === -1 ? tags.length : index;
+  };
+
+  const getTagMessageValues = (tag, index) => ({
+    index,
+    id: tag.id,
+    label: tag[props.labelField],
+  });
+
+  const clearUndoNotice = () => {
+    clearTimeout(instance.undoNoticeTimeout);
+    if (state.undoNotice) {
+      setState({ undoNotice: null });
+    }
+  };
+
+  // Offers to undo deletions for a moment, with the undoNotice prop
+  const showUndoNotice = (steps) => {
+    if (!props.undoNotice || steps.some(({ action }) => action !== 'delete')) {
+      clearUndoNotice();
+      return;
+    }
+    const { duration = DEFAULT_UNDO_NOTICE_DURATION } =
+      typeof props.undoNotice === 'object' ? props.undoNotice : {};
+    clearTimeout(instance.undoNoticeTimeout);
+    instance.undoNoticeTimeout = setTimeout(() => {
+      if (!instance.isUnmounted) {
+        setState({ undoNotice: null });
+      }
+    }, duration);
+    setState({
+      undoNotice: {
+        count: steps.length,
+        label: steps[0].tag[props.labelField],
+      },
+    });
+  };
+
+  const recordHistory = (steps) => {
+    const { history } = instance;
+    if (history.batch) {
+      history.batch.push(...steps);
+      return;
+    }
+    history.undoStack = [...history.undoStack, steps].slice(-MAX_HISTORY_SIZE);
+    history.redoStack = [];
+    showUndoNotice(steps);
+  };
+
+  const clearHistory = () => {
+    const { history } = instance;
+    history.undoStack = [];
+    history.redoStack = [];
+    clearUndoNotice();
+  };
+
+  // Records the changes made by the callback as a single history entry.
+  // Controlled tags only change when the parent renders again, so the
+  // changes are applied to a copy of the tags meanwhile: each one then
+  // builds on the previous ones.
+  const withHistoryBatch = (callback) => {
+    const { history } = instance;
+    if (history.batch) {
+      callback();
+      return;
+    }
+    history.batch = [];
+    instance.batchTags = getTags();
+    callback();
+    const steps = history.batch;
+    history.batch = null;
+    instance.batchTags = null;
+    if (steps.length > 0) {
+      recordHistory(steps);
+    }
+  };
+
+  // Replays a step through the same callbacks as the user changes, and
+  // returns the tags after it
+  const applyHistoryStep = (tags, step, direction) => {
+    const { action, tag, index } = step;
+    const change = { action, tag, index, history: direction };
+    let newTags;
+    if (action === 'add') {
+      props.handleAddition(tag, index);
+      newTags = [...tags.slice(0, index), tag, ...tags.slice(index)];
+    } else if (action === 'delete') {
+      props.handleDelete(index);
+      newTags = tags.filter((existingTag, i) => i !== index);
+    } else if (action === 'reorder') {
+      if (props.handleDrag) {
+        props.handleDrag(tag, step.previousIndex, index);
+      }
+      change.previousIndex = step.previousIndex;
+      newTags = tags.slice();
+      newTags.splice(step.previousIndex, 1);
+      newTags.splice(index, 0, tag);
+    } else {
+      if (props.handleTagUpdate) {
+        props.handleTagUpdate(index, tag);
+      }
+      newTags = tags.map((existingTag, i) => (i === index ? tag : existingTag));
+    }
+    updateTags(newTags, change);
+    return newTags;
+  };
+
+  // Moves the last entry of one stack to the other, replaying its steps
+  const replayHistory = (isUndo) => {
+    const { history } = instance;
+    const fromStack = isUndo ? history.undoStack : history.redoStack;
+    if (props.readOnly || fromStack.length === 0) {
+      return false;
+    }
+    const steps = fromStack.pop();
+    const replayedSteps = isUndo
+      ? steps.slice().reverse().map(invertHistoryStep)
+      : steps;
+    history.isReplaying = true;
+    replayedSteps.reduce(
+      (tags, step) => applyHistoryStep(tags, step, isUndo ? 'undo' : 'redo'),
+      getTags()
+    );
+    history.isReplaying = false;
+    (isUndo ? history.redoStack : history.undoStack).push(steps);
+    clearTimeout(instance.undoNoticeTimeout);
+    setState({
+      undoNotice: null,
+      editingIndex: -1,
+      grabbedTagIndex: -1,
+      ariaLiveStatus: getMessage(isUndo ? 'changesUndone' : 'changesRedone', {
+        count: steps.length,
+      }),
+    });
+    return true;
+  };
+
+  const undo = () => replayHistory(true);
+
+  const redo = () => replayHistory(false);
+
+  // Ctrl/Cmd + Z undoes the last change and Ctrl/Cmd + Shift + Z redoes it
+  const handleHistoryKeyDown = (event) => {
+    if (
+      !(event.ctrlKey || event.metaKey) ||
+      event.altKey ||
+      event.keyCode !== KEYS.Z
+    ) {
+      return false;
+    }
+    event.preventDefault();
+    if (event.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
+    return true;
+  };
+
+  const baseId = props.id || instance.id;
+  const listboxId = `${baseId}-listbox`;
+  const validationId = `${baseId}-validation`;
+
+  const matchOptions = { locale: props.locale, sensitivity: props.sensitivity };
+
+  // Folds an id or a label into the form compared to find a suggestion
+  const getComparisonKey = (value, sensitivity = props.sensitivity) =>
+    normalizeText(String(value), sensitivity, props.locale).text;
+
+  const duplicatePolicy = {
+    ...DEFAULT_DUPLICATE_POLICY,
+    sensitivity: props.sensitivity,
+    ...props.duplicatePolicy,
+  };
+
+  // Key under which two tags are duplicates of each other
+  const getDuplicateKey = (tag) => {
+    const { compareBy, sensitivity } = duplicatePolicy;
+    let key = tag.id;
+    if (typeof compareBy === 'function') {
+      key = compareBy(tag);
+    } else if (compareBy === DUPLICATE_KEYS.LABEL) {
+      key = tag[props.labelField];
+    }
+    return getComparisonKey(key, sensitivity);
+  };
+
+  // Keys of the current tags, computed once per tags array and policy
+  const getExistingKeys = () => {
+    const tags = getTags();
+    const cached = instance.existingKeys;
+    const options = {
+      ...matchOptions,
+      compareBy: duplicatePolicy.compareBy,
+      sensitivity: duplicatePolicy.sensitivity,
+      labelField: props.labelField,
+    };
+    if (!cached || cached.tags !== tags || !isEqual(cached.options, options)) {
+      instance.existingKeys = {
+        tags,
+        options,
+        keys: tags.map(getDuplicateKey),
+      };
+      instance.existingKeys.keySet = new Set(instance.existingKeys.keys);
+    }
+    return instance.existingKeys;
+  };
+
+  // Keys of the static suggestions, computed once per suggestions array and
+  // policy rather than for every matching suggestion on every keystroke
+  const getSuggestionKeys = () => {
+    const hierarchy = getHierarchy();
+    const suggestions = hierarchy
+      ? hierarchy.items
+      : previousSuggestions.current;
+    const { options } = getExistingKeys();
+    const cached = instance.suggestionKeys;
+    if (
+      !cached ||
+      cached.suggestions !== suggestions ||
+      !isEqual(cached.options, options)
+    ) {
+      instance.suggestionKeys = {
+        suggestions,
+        options,
+        keys: new Map(
+          suggestions.map((suggestion) => [
+            suggestion,
+            getDuplicateKey(suggestion),
+          ])
+        ),
+      };
+    }
+    return instance.suggestionKeys.keys;
+  };
+
+  const excludeExistingTags = (suggestions) => {
+    if (!props.allowUnique) {
+      return suggestions;
+    }
+    const { keySet } = getExistingKeys();
+    if (keySet.size === 0) {
+      return suggestions;
+    }
+    const keys = getSuggestionKeys();
+    return suggestions.filter(
+      (suggestion) =>
+        !keySet.has(
+          keys.has(suggestion)
+            ? keys.get(suggestion)
+            : getDuplicateKey(suggestion)
+        )
+    );
+  };
+
+  // Static suggestions are indexed once for the prefix and substring
+  // strategies, and again only when they, the labelField or the locale and
+  // sensitivity change
+  const getSuggestionIndex = () => {
+    const suggestions = previousSuggestions.current;
+    const { labelField } = props;
+    const cached = instance.suggestionIndex;
+    if (
+      !cached ||
+      cached.suggestions !== suggestions ||
+      cached.labelField !== labelField ||
+      !isEqual(cached.matchOptions, matchOptions)
+    ) {
+      instance.suggestionIndex = {
+        suggestions,
+        labelField,
+        matchOptions,
+        index: createSuggestionIndex(suggestions, labelField, matchOptions),
+      };
+    }
+    return instance.suggestionIndex.index;
+  };
+
+  // Suggestions given with a parentId or children are flattened once, and
+  // again only when they change
+  const getHierarchy = () => {
+    const suggestions = previousSuggestions.current;
+    const cached = instance.hierarchy;
+    if (!cached || cached.suggestions !== suggestions) {
+      instance.hierarchy = {
+        suggestions,
+        hierarchy: isHierarchical(suggestions)
+          ? createHierarchy(suggestions)
+          : null,
+      };
+    }
+    return instance.hierarchy.hierarchy;
+  };
+
+  const getSuggestionItems = () => {
+    const hierarchy = getHierarchy();
+    return hierarchy ? hierarchy.items : props.suggestions;
+  };
+
+  // Labels of the ancestors of a tag or a suggestion, from the root down
+  const getPath = (item) => {
+    const hierarchy = getHierarchy();
+    const node = hierarchy && item && hierarchy.getItem(item.id);
+    if (!node) {
+      return [];
+    }
+    return hierarchy
+      .getAncestors(node)
+      .map((ancestor) => ancestor[props.labelField]);
+  };
+
+  const hasChildSuggestions = (suggestion) => {
+    const hierarchy = getHierarchy();
+    const node = hierarchy && suggestion && hierarchy.getItem(suggestion.id);
+    return !!node && hierarchy.hasChildren(node);
+  };
+
+  // Suggestions matching the query by their own label rank above the ones
+  // matching through the label of an ancestor, which keep the tree order
+  const filterHierarchy = (query, hierarchy) => {
+    const { labelField } = props;
+    const scorer = getScorer(props.matchStrategy, matchOptions);
+    const items = excludeExistingTags(hierarchy.items);
+    const matches = rankSuggestions(query, items, labelField, scorer).map(
+      ({ item }) => item
+    );
+    const matchSet = new Set(matches);
+    const isMatch = (item) => {
+      const match = scorer(query, item[labelField]);
+      return match !== null && match !== undefined && match !== false;
+    };
+    return matches.concat(
+      items.filter(
+        (item) =>
+          !matchSet.has(item) && hierarchy.getAncestors(item).some(isMatch)
+      )
+    );
+  };
+
+  // Usage of the tags stored under the usageKey, read once per key and
+  // storage
+  const getUsage = () => {
+    if (!props.usageStorage && !instance.defaultStorage) {
+      instance.defaultStorage = getDefaultStorage();
+    }
+    const storage = props.usageStorage || instance.defaultStorage;
+    const cached = instance.usage;
+    if (
+      !cached ||
+      cached.key !== props.usageKey ||
+      cached.storage !== storage
+    ) {
+      instance.usage = {
+        key: props.usageKey,
+        storage,
+        entries: readUsage(storage, props.usageKey),
+      };
+    }
+    return instance.usage.entries;
+  };
+
+  const recordTagUsage = (tag) => {
+    if (!props.usageKey) {
+      return;
+    }
+    const entries = recordUsage(getUsage(), tag);
+    instance.usage.entries = entries;
+    writeUsage(instance.usage.storage, props.usageKey, entries);
+  };
+
+  // Suggestions used more often and more recently rank first among the ones
+  // matching the query as well
+  const boostUsedSuggestions = (suggestions, query) => {
+    if (!props.usageKey) {
+      return suggestions;
+    }
+    return sortByUsage(suggestions, getUsage(), undefined, (suggestion) => {
+      const match = matcher(query, String(suggestion[props.labelField]));
+      if (typeof match === 'number') {
+        return match;
+      }
+      return match ? match.score : 0;
+    });
+  };
+
+  // Shows the recently used suggestions when nothing is typed
+  const showRecentSuggestions = () => {
+    if (!props.usageKey) {
+      return;
+    }
+    const suggestions = excludeExistingTags(
+      getRecentTags(getUsage()).map((tag) => findSuggestion(tag) || tag)
+    ).slice(0, props.maxRecentSuggestions);
+    if (suggestions.length > 0) {
+      setState({
+        suggestions,
+        selectedIndex: -1,
+        selectionMode: false,
+        isShowingRecent: true,
+      });
+    }
+  };
+
+  const getSuggestionGroup = (suggestion) => {
+    if (state.isShowingRecent) {
+      return getMessage('recentSuggestions');
+    }
+    return props.groupBy ? props.groupBy(suggestion) : suggestion.group;
+  };
+
+  // Keeps the suggestions of a group together, so that the keyboard moves
+  // through the groups in the order they are rendered, and applies
+  // maxSuggestions
+  const orderSuggestions = (suggestions) => {
+    const ordered = [].concat(
+      ...groupSuggestions(suggestions, getSuggestionGroup).map(
+        (group) => group.suggestions
+      )
+    );
+    return props.maxSuggestions
+      ? ordered.slice(0, props.maxSuggestions)
+      : ordered;
+  };
+
+  const filteredSuggestions = (query) => {
+    const { labelField, matchStrategy } = props;
+    if (props.handleFilterSuggestions) {
+      return orderSuggestions(
+        props.handleFilterSuggestions(
+          query,
+          excludeExistingTags(getSuggestionItems())
+        )
+      );
+    }
+
+    const hierarchy = getHierarchy();
+    if (hierarchy) {
+      return orderSuggestions(
+        boostUsedSuggestions(filterHierarchy(query, hierarchy), query)
+      );
+    }
+
+    if (
+      matchStrategy === MATCH_STRATEGIES.PREFIX ||
+      matchStrategy === MATCH_STRATEGIES.SUBSTRING
+    ) {
+      return orderSuggestions(
+        boostUsedSuggestions(
+          excludeExistingTags(
+            getSuggestionIndex().search(query, matchStrategy)
+          ),
+          query
+        )
+      );
+    }
+    return orderSuggestions(
+      boostUsedSuggestions(
+        rankSuggestions(
+          query,
+          excludeExistingTags(props.suggestions),
+          labelField,
+          getScorer(matchStrategy, matchOptions)
+        ).map(({ item }) => item),
+        query
+      )
+    );
+  };
+
+  // Highlights the query in the suggestions, like the substring strategy
+  // for suggestions returned by handleFilterSuggestions
+  const matcher = getScorer(
+    props.handleFilterSuggestions
+      ? MATCH_STRATEGIES.SUBSTRING
+      : props.matchStrategy,
+    matchOptions
+  );
+
+  const resetAndFocusInput = () => {
+    setState({ query: '' });
+    if (instance.input) {
+      instance.input.value = '';
+      instance.input.focus();
+    }
+  };
+
+  const shouldShowSuggestions = (query) => {
+    const {
+      shouldRenderSuggestions,
+      minQueryLength = DEFAULT_MIN_QUERY_LENGTH,
+    } = props;
+    if (shouldRenderSuggestions) {
+      return shouldRenderSuggestions(query);
+    }
+    return query.length >= minQueryLength;
+  };
+
+  const loadSuggestions = (query) => {
+    const controller =
+      typeof AbortController !== 'undefined' ? new AbortController() : {};
+    instance.pendingSuggestionsRequest = controller;
+    const isStale = () => instance.pendingSuggestionsRequest !== controller;
+
+    Promise.resolve()
+      .then(() => props.loadSuggestions(query, { signal: controller.signal }))
+      .then(
+        (results) => {
+          if (isStale()) {
+            return;
+          }
+          instance.pendingSuggestionsRequest = null;
+          setState({
+            suggestions: instance.latest.orderSuggestions(
+              instance.latest.boostUsedSuggestions(
+                instance.latest.excludeExistingTags(results || []),
+                query
+              )
+            ),
+            isLoadingSuggestions: false,
+          });
+        },
+        (error) => {
+          if (isStale()) {
+            return;
+          }
+          instance.pendingSuggestionsRequest = null;
+          setState({
+            suggestions: [],
+            isLoadingSuggestions: false,
+            suggestionsError: error,
+          });
+        }
+      );
+  };
+
+  const requestSuggestions = (query) => {
+    // Results of an in-flight request are stale as soon as the query changes
+    cancelSuggestionsRequest(instance);
+    if (!shouldShowSuggestions(query)) {
+      setState({
+        suggestions: [],
+        selectedIndex: -1,
+        isLoadingSuggestions: false,
+        suggestionsError: null,
+        browseLevel: null,
+        isShowingRecent: false,
+      });
+      return;
+    }
+    setState({
+      suggestions: [],
+      selectedIndex: -1,
+      isLoadingSuggestions: true,
+      suggestionsError: null,
+      browseLevel: null,
+      isShowingRecent: false,
+    });
+    instance.debouncedLoadSuggestions(query);
+  };
+
+  const updateSuggestions = (query) => {
+    if (props.loadSuggestions) {
+      requestSuggestions(query);
+      return;
+    }
+    const suggestions = filteredSuggestions(query);
+    const { selectedIndex } = state;
+
+    setState({
+      suggestions: suggestions,
+      selectedIndex:
+        selectedIndex >= suggestions.length
+          ? suggestions.length - 1
+          : selectedIndex,
+      browseLevel: null,
+      isShowingRecent: false,
+    });
+  };
+
+  // Index of the tag the given one duplicates according to the
+  // duplicatePolicy, or -1
+  const findExistingTagIndex = (tag, ignoredIndex = -1) => {
+    if (!props.allowUnique) {
+      return -1;
+    }
+    const key = getDuplicateKey(tag);
+    return getExistingKeys().keys.findIndex(
+      (existingKey, index) => index !== ignoredIndex && existingKey === key
+    );
+  };
+
+  const isExistingTag = (tag, ignoredIndex = -1) =>
+    findExistingTagIndex(tag, ignoredIndex) !== -1;
+
+  // Finds the suggestion a free text tag stands for, by id or by label
+  const findSuggestion = (tag) => {
+    const { labelField } = props;
+    const suggestions = props.loadSuggestions
+      ? state.suggestions
+      : getSuggestionItems();
+    const id = getComparisonKey(tag.id);
+    const label = getComparisonKey(tag[labelField]);
+    return suggestions.find(
+      (suggestion) =>
+        getComparisonKey(suggestion.id) === id ||
+        getComparisonKey(suggestion[labelField]) === label
+    );
+  };
+
+  // With suggestionsOnly, free text that is not a suggestion maps to the best
+  // match of the matchStrategy, so 'Germny' becomes Germany with fuzzy matching
+  const findClosestSuggestion = (tag) => {
+    const suggestion = findSuggestion(tag);
+    if (
+      suggestion ||
+      props.loadSuggestions ||
+      props.creationPolicy !== CREATION_POLICIES.SUGGESTIONS_ONLY
+    ) {
+      return suggestion;
+    }
+    const label = String(tag[props.labelField] || '').trim();
+    return label ? filteredSuggestions(label)[0] : undefined;
+  };
+
+  const createQueryTag = (query) => ({ id: query, [props.labelField]: query });
+
+  // With the confirm creation policy, queries that are not a suggestion are
+  // offered as an extra option after the suggestions
+  const trimmedQuery = state.query.trim();
+  const newTagLabel =
+    props.creationPolicy === CREATION_POLICIES.CONFIRM &&
+    trimmedQuery !== '' &&
+    !state.isNewTagDismissed &&
+    !findSuggestion(createQueryTag(trimmedQuery)) &&
+    !isExistingTag(createQueryTag(trimmedQuery))
+      ? trimmedQuery
+      : null;
+  const optionCount = state.suggestions.length + (newTagLabel !== null ? 1 : 0);
+
+  const isBrowsingSuggestions = state.browseLevel !== null;
+  const isSuggestionsOpen =
+    optionCount > 0 &&
+    (state.isFocused || !!props.shouldRenderSuggestions) &&
+    (isBrowsingSuggestions ||
+      state.isShowingRecent ||
+      shouldShowSuggestions(trimmedQuery));
+
+  const removeTag = (index, event) => {
+    const tags = getTags();
+    props.handleDelete(index, event);
+    updateTags(
+      tags.filter((tag, i) => i !== index),
+      { action: 'delete', tag: tags[index], index }
+    );
+  };
+
+  const deleteTag = (index, event) => {
+    if (event) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+    const currentTags = getTags().slice();
+    // Early exit from the function if the array
+    // is already empty
+    if (currentTags.length === 0) {
+      return;
+    }
+    let ariaLiveStatus = getMessage(
+      'tagDeleted',
+      getTagMessageValues(currentTags[index], index)
+    );
+    removeTag(index, event);
+    // Tags are keyed by index, so the elements of the remaining tags stay
+    // where they are. Remove buttons are focused when they are known.
+    const getElement = (i) =>
+      instance.removeElements[i] || instance.tagElements[i];
+    let nextElementToFocus, nextIndex, nextTag;
+    if (index === 0 && currentTags.length > 1) {
+      nextElementToFocus = getElement(0);
+      nextIndex = 0;
+      nextTag = currentTags[1];
+    } else {
+      nextElementToFocus = getElement(index - 1);
+      nextIndex = index - 1;
+      nextTag = currentTags[nextIndex];
+    }
+    if (!nextElementToFocus) {
+      nextIndex = -1;
+      nextElementToFocus = instance.input;
+    }
+    if (nextIndex >= 0) {
+      ariaLiveStatus += ` ${getMessage(
+        'removeTag',
+        getTagMessageValues(nextTag, nextIndex)
+      )}`;
+    } else {
+      ariaLiveStatus += ` ${getMessage('inputFocused')}`;
+    }
+    if (nextElementToFocus) {
+      nextElementToFocus.focus();
+    }
+    setState({
+      ariaLiveStatus,
+    });
+  };
+
+  const handleTagClick = (index, event) => {
+    if (props.handleTagClick) {
+      props.handleTagClick(index, event);
+    }
+  };
+
+  // Delimiters typed without a key event telling which key it was (e.g. a
+  // comma on a mobile keyboard) end up in the value. The text before them is
+  // added like when a delimiter key is pressed, and the text after them
+  // stays in the input.
+  const addDelimitedTags = (value) => {
+    const parts = value.split(buildRegExpFromDelimiters(props.delimiters));
+    if (parts.length < 2) {
+      return false;
+    }
+    const remainder = parts.pop();
+    const labels = parts.map((part) => part.trim()).filter(Boolean);
+    // A single rejected tag is kept in the input to be corrected
+    const inputValue =
+      labels.length === 1 && !remainder.trim() ? labels[0] : remainder;
+    if (instance.input) {
+      instance.input.value = inputValue;
+    }
+    setState({
+      query: inputValue.trim(),
+      validationError: null,
+      validationWarning: null,
+      isNewTagDismissed: false,
+    });
+    withHistoryBatch(() =>
+      labels.forEach((label) => addTag(createQueryTag(label)))
+    );
+    if (remainder.trim()) {
+      if (instance.input) {
+        instance.input.value = remainder;
+      }
+      setState({ query: remainder.trim() });
+      updateSuggestions(remainder.trim());
+    }
+    return true;
+  };
+
+  const handleChange = (event) => {
+    if (props.handleInputChange) {
+      props.handleInputChange(event.target.value);
+    }
+
+    if (addDelimitedTags(event.target.value)) {
+      return;
+    }
+
+    const query = event.target.value.trim();
+
+    setState({
+      query,
+      validationError: null,
+      validationWarning: null,
+      isNewTagDismissed: false,
+    });
+    updateSuggestions(query);
+    if (query === '') {
+      showRecentSuggestions();
+    }
+  };
+
+  const handleFocus = (event) => {
+    const value = event.target.value;
+    if (props.handleInputFocus) {
+      props.handleInputFocus(value);
+    }
+    setState({
+      isFocused: true,
+      activeTagIndex: -1,
+      tagSelectionAnchor: -1,
+    });
+    if (value.trim() === '') {
+      showRecentSuggestions();
+    }
+  };
+
+  const handleBlur = (event) => {
+    const value = event.target.value;
+    if (props.handleInputBlur) {
+      props.handleInputBlur(value);
+      if (instance.input) {
+        instance.input.value = '';
+      }
+    }
+    setState({ isFocused: false, browseLevel: null, isShowingRecent: false });
+  };
+
+  // Checked against the current tags, which several tags added in one
+  // event change before the next render
+  const hasReachedLimit = () =>
+    props.maxTags !== undefined && getTags().length >= props.maxTags;
+  const isLimitReached = hasReachedLimit();
+
+  const handleLimitExceeded = (rejectedTags) => {
+    if (props.onLimitExceeded) {
+      props.onLimitExceeded(rejectedTags);
+    }
+    setState({
+      ariaLiveStatus: getMessage('limitReached', {
+        count: props.maxTags,
+      }),
+    });
+  };
+
+  // Indexes of the ancestor or descendant tags of a tag added from
+  // hierarchical suggestions, according to removeRelatedTags
+  const getRelatedTagIndexes = (tag) => {
+    const hierarchy = getHierarchy();
+    const node = hierarchy && hierarchy.getItem(tag.id);
+    if (!node || !props.removeRelatedTags) {
+      return [];
+    }
+    const related =
+      props.removeRelatedTags === RELATED_TAGS.ANCESTORS
+        ? hierarchy.getAncestors(node)
+        : hierarchy.getDescendants(node);
+    const relatedIds = new Set(related.map(({ id }) => String(id)));
+    return getTags().reduce(
+      (indexes, { id }, index) =>
+        relatedIds.has(String(id)) ? indexes.concat(index) : indexes,
+      []
+    );
+  };
+
+  const commitTag = (tag, warning = null, keepQuery = false) => {
+    const { maxTags } = props;
+    // Tags validated asynchronously, or replaced by the validator, may have
+    // been added, or the limit reached, meanwhile
+    const existingIndex = findExistingTagIndex(tag);
+    if (existingIndex !== -1) {
+      handleDuplicate(tag, existingIndex);
+      return;
+    }
+    if (hasReachedLimit()) {
+      handleLimitExceeded([tag]);
+      return;
+    }
+    const relatedIndexes = getRelatedTagIndexes(tag);
+    const removedTags = relatedIndexes.map((index) => getTags()[index]);
+    // related tags are deleted from the last one, so that the indexes passed
+    // to handleDelete stay valid
+    relatedIndexes
+      .slice()
+      .reverse()
+      .forEach((index) => props.handleDelete(index));
+    const tags = getTags().filter(
+      (existingTag, index) => relatedIndexes.indexOf(index) === -1
+    );
+    const index = getInsertIndex(tag, tags);
+    recordTagUsage(tag);
+    // call method to add
+    props.handleAddition(tag, index);
+    updateTags([...tags.slice(0, index), tag, ...tags.slice(index)], {
+      action: 'add',
+      tag,
+      index,
+      ...(removedTags.length > 0 && { removedTags }),
+    });
+
+    let ariaLiveStatus = warning;
+    if (
+      !ariaLiveStatus &&
+      maxTags !== undefined &&
+      tags.length + 1 >= maxTags
+    ) {
+      ariaLiveStatus = getMessage('limitReached', { count: maxTags });
+    }
+    if (!ariaLiveStatus && removedTags.length > 0) {
+      ariaLiveStatus = getMessage('relatedTagsRemoved', {
+        count: removedTags.length,
+      });
+    }
+
+    if (keepQuery) {
+      setState({
+        validationWarning: warning,
+        ...(ariaLiveStatus ? { ariaLiveStatus } : {}),
+      });
+      return;
+    }
+
+    // reset the state
+    cancelSuggestionsRequest(instance);
+    setState({
+      query: '',
+      selectionMode: false,
+      selectedIndex: -1,
+      isLoadingSuggestions: false,
+      validationError: null,
+      validationWarning: warning,
+      browseLevel: null,
+      isShowingRecent: false,
+      ...(ariaLiveStatus ? { ariaLiveStatus } : {}),
+    });
+
+    resetAndFocusInput();
+  };
+
+  // The validate prop accepts a tag by returning nothing or true, rejects it
+  // by returning false or an error message, and can also return an object
+  // with an error, or with a replacement tag and/or a warning.
+  const handleValidationResult = (tag, result, keepQuery = false) => {
+    if (instance.isUnmounted) {
+      return;
+    }
+    if (result === undefined || result === null || result === true) {
+      commitTag(tag, null, keepQuery);
+      return;
+    }
+    if (result === false) {
+      result = getMessage('invalidTag', getTagMessageValues(tag));
+    }
+    if (typeof result === 'string') {
+      result = { error: result };
+    }
+    if (result.error) {
+      if (keepQuery) {
+        // the error is about a query that is no longer in the input
+        return;
+      }
+      // Keep the query in the input so that it can be corrected
+      setState({
+        validationError: result.error,
+        validationWarning: null,
+        ariaLiveStatus: result.error,
+      });
+      return;
+    }
+    commitTag(result.tag || tag, result.warning, keepQuery);
+  };
+
+  // Applies the result of an async validation. When something else was
+  // typed meanwhile, the tag is added without clearing the input.
+  const handleAsyncValidationResult = (tag, result, key) => {
+    const submittedValue = instance.pendingValidations.get(key);
+    instance.pendingValidations.delete(key);
+    const isQueryChanged =
+      !!instance.input && instance.input.value !== submittedValue;
+    handleValidationResult(tag, result, isQueryChanged);
+  };
+
+  // Rejects a tag that is not one of the suggestions, or with the confirm
+  // policy highlights the option creating the typed query
+  const rejectNewTag = (tag) => {
+    if (newTagLabel !== null && tag[props.labelField].trim() === newTagLabel) {
+      setState({
+        selectedIndex: state.suggestions.length,
+        selectionMode: true,
+        ariaLiveStatus: getMessage('createTag', { label: newTagLabel }),
+      });
+      return;
+    }
+    const error = getMessage('tagNotAllowed', getTagMessageValues(tag));
+    setState({
+      validationError: error,
+      validationWarning: null,
+      ariaLiveStatus: error,
+    });
+  };
+
+  // Reports a tag that is already added and applies the action of the
+  // duplicatePolicy: ignore it, highlight the existing tag for a moment or
+  // move the existing tag to the end. Sorted tags, and controlled tags
+  // without handleDrag or onChange, are highlighted rather than moved.
+  const handleDuplicate = (tag, existingIndex) => {
+    const tags = getTags();
+    const existingTag = tags[existingIndex];
+    if (props.onDuplicate) {
+      props.onDuplicate(tag, existingIndex);
+    }
+    const { highlightDuration } = duplicatePolicy;
+    const canMoveTag = !isAutoSorted && canChangeTags(props.handleDrag);
+    const action =
+      !canMoveTag && duplicatePolicy.action === DUPLICATE_ACTIONS.MOVE_TO_END
+        ? DUPLICATE_ACTIONS.HIGHLIGHT
+        : duplicatePolicy.action;
+    if (action === DUPLICATE_ACTIONS.MOVE_TO_END) {
+      if (existingIndex !== tags.length - 1) {
+        moveTag(existingIndex, tags.length - 1);
+      }
+      cancelSuggestionsRequest(instance);
+      setState({
+        query: '',
+        selectionMode: false,
+        selectedIndex: -1,
+        isLoadingSuggestions: false,
+        validationError: null,
+        validationWarning: null,
+        ariaLiveStatus: getMessage(
+          'duplicateTagMoved',
+          getTagMessageValues(existingTag, tags.length - 1)
+        ),
+      });
+      resetAndFocusInput();
+      return;
+    }
+    const update = {
+      ariaLiveStatus: getMessage(
+        'duplicateTag',
+        getTagMessageValues(existingTag, existingIndex)
+      ),
+    };
+    if (action === DUPLICATE_ACTIONS.HIGHLIGHT) {
+      update.duplicateTag = existingTag;
+      clearTimeout(instance.duplicateTimeout);
+      instance.duplicateTimeout = setTimeout(() => {
+        if (!instance.isUnmounted) {
+          setState({ duplicateTag: null });
+        }
+      }, highlightDuration);
+    }
+    setState(update);
+  };
+
+  // Adds a tag, applying the creation policy unless the tag was confirmed
+  // through the option creating it
+  const addTag = (tag, isConfirmed = false) => {
+    const { labelField } = props;
+    if (!tag.id || !tag[labelField]) {
+      return;
+    }
+
+    const existingIndex = findExistingTagIndex(tag);
+    if (existingIndex !== -1) {
+      handleDuplicate(tag, existingIndex);
+      return;
+    }
+    if (hasReachedLimit()) {
+      handleLimitExceeded([tag]);
+      return;
+    }
+    if (props.autocomplete) {
+      const possibleMatches = props.loadSuggestions
+        ? state.suggestions
+        : filteredSuggestions(tag[labelField]);
+
+      if (
+        (props.autocomplete === 1 && possibleMatches.length === 1) ||
+        (props.autocomplete === true && possibleMatches.length)
+      ) {
+        tag = possibleMatches[0];
+      }
+    }
+
+    if (!isConfirmed && props.creationPolicy !== CREATION_POLICIES.ANY) {
+      const suggestion = findClosestSuggestion(tag);
+      if (!suggestion) {
+        rejectNewTag(tag);
+        return;
+      }
+      tag = suggestion;
+    }
+
+    if (!props.validate) {
+      commitTag(tag);
+      return;
+    }
+    // The same tag submitted again while it is validated
+    const key = getDuplicateKey(tag);
+    if (instance.pendingValidations.has(key)) {
+      return;
+    }
+    const result = props.validate(tag, getTags());
+    if (result && typeof result.then === 'function') {
+      instance.pendingValidations.set(
+        key,
+        instance.input ? instance.input.value : null
+      );
+      result.then(
+        (resolved) =>
+          instance.latest.handleAsyncValidationResult(tag, resolved, key),
+        (error) =>
+          instance.latest.handleAsyncValidationResult(
+            tag,
+            error instanceof Error ? error.message : error,
+            key
+          )
+      );
+      return;
+    }
+    handleValidationResult(tag, result);
+  };
+
+  // Adds pasted tags, applying the creation policy and maxTags to all of
+  // them at once
+  const addPastedTags = (tags) => {
+    let newTags = tags;
+    let rejectedTags = [];
+    if (props.creationPolicy !== CREATION_POLICIES.ANY) {
+      rejectedTags = newTags.filter(
+        (tag) => tag.id && !findClosestSuggestion(tag)
+      );
+      newTags = newTags
+        .map(findClosestSuggestion)
+        .filter((tag) => tag && !isExistingTag(tag));
+    }
+
+    const { maxTags } = props;
+    if (maxTags !== undefined) {
+      newTags = newTags.filter((tag) => tag.id && !isExistingTag(tag));
+      const available = Math.max(maxTags - getTags().length, 0);
+      if (newTags.length > available) {
+        handleLimitExceeded(newTags.slice(available));
+        newTags = newTags.slice(0, available);
+      }
+    }
+    withHistoryBatch(() => newTags.forEach((tag) => addTag(tag)));
+
+    // Reported after adding the other tags, which clears validation errors
+    if (rejectedTags.length > 0) {
+      const error = getMessage('tagNotAllowed', {
+        label: rejectedTags.map((tag) => tag.id).join(', '),
+      });
+      setState({
+        validationError: error,
+        validationWarning: null,
+        ariaLiveStatus: error,
+      });
+    }
+  };
+
+  const handlePaste = (event) => {
+    if (!props.allowAdditionFromPaste) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const clipboardData = event.clipboardData || window.clipboardData;
+    const clipboardText = clipboardData.getData('text');
+
+    const { maxLength = clipboardText.length } = props;
+
+    const maxTextLength = Math.min(maxLength, clipboardText.length);
+    const pastedText = clipboardData.getData('text').substr(0, maxTextLength);
+
+    const values = props.parsePaste
+      ? props.parsePaste(pastedText)
+      : parsePastedText(pastedText, props.delimiters);
+
+    // Only add unique tags
+    const newTags = uniqBy(
+      values.map((value) =>
+        typeof value === 'string' ? createQueryTag(value) : value
+      ),
+      getDuplicateKey
+    );
+
+    // Large pastes are previewed until the user confirms them
+    const { pasteConfirmThreshold } = props;
+    const addedTags = newTags.filter((tag) => !isExistingTag(tag));
+    if (
+      pasteConfirmThreshold !== undefined &&
+      addedTags.length > pasteConfirmThreshold
+    ) {
+      setState({
+        pendingPaste: addedTags,
+        ariaLiveStatus: getMessage('pastePreview', {
+          count: addedTags.length,
+        }),
+      });
+      return;
+    }
+    addPastedTags(newTags);
+  };
+
+  // Closes the preview of a large paste, adding its tags when confirmed
+  const closePastePreview = (isConfirmed) => {
+    const tags = state.pendingPaste;
+    setState({ pendingPaste: null });
+    if (isConfirmed && tags) {
+      addPastedTags(tags);
+    }
+    if (instance.input) {
+      instance.input.focus();
+    }
+  };
+
+  const confirmPaste = () => closePastePreview(true);
+
+  const cancelPaste = () => closePastePreview(false);
+
+  const selectSuggestion = (index) => {
+    if (index === state.suggestions.length && newTagLabel !== null) {
+      addTag(createQueryTag(newTagLabel), true);
+      return;
+    }
+    addTag(state.suggestions[index]);
+  };
+
+  const highlightSuggestion = (index) => {
+    setState({
+      selectedIndex: index,
+      selectionMode: true,
+    });
+  };
+
+  const getSelectedTagIndexes = () => {
+    const { activeTagIndex, tagSelectionAnchor } = state;
+    if (activeTagIndex === -1) {
+      return [];
+    }
+    const start = Math.min(activeTagIndex, tagSelectionAnchor);
+    const end = Math.max(activeTagIndex, tagSelectionAnchor);
+    return range(start, Math.min(end + 1, getTags().length));
+  };
+
+  const focusTag = (index) => {
+    if (instance.tagElements[index]) {
+      instance.tagElements[index].focus();
+    }
+  };
+
+  const moveTagFocus = (index, extendSelection) => {
+    const { activeTagIndex, tagSelectionAnchor } = state;
+    const anchor =
+      extendSelection && activeTagIndex !== -1 ? tagSelectionAnchor : index;
+    focusTag(index);
+    const selectedCount = Math.abs(index - anchor) + 1;
+    setState({
+      activeTagIndex: index,
+      tagSelectionAnchor: anchor,
+      ...(extendSelection && {
+        ariaLiveStatus: getMessage('tagsSelected', {
+          count: selectedCount,
+        }),
+      }),
+    });
+  };
+
+  // Shows the children of a suggestion, or the roots for a null parentId,
+  // and highlights one of them
+  const browseSuggestions = (parentId, selectedIndex = 0) => {
+    const hierarchy = getHierarchy();
+    const suggestions = orderSuggestions(hierarchy.getChildren(parentId));
+    const parent = parentId === null ? null : hierarchy.getItem(parentId);
+    const count = suggestions.length;
+    const ariaLiveStatus = getMessage(
+      parent ? 'suggestionsBrowsed' : 'topLevelSuggestions',
+      { label: parent && parent[props.labelField], count }
+    );
+    cancelSuggestionsRequest(instance);
+    setState({
+      browseLevel: { parentId },
+      isShowingRecent: false,
+      suggestions,
+      selectedIndex: Math.max(selectedIndex, 0),
+      selectionMode: true,
+      isLoadingSuggestions: false,
+      ariaLiveStatus,
+    });
+  };
+
+  // Right shows the children of the highlighted suggestion, left goes back
+  // to its parent's level, and down starts browsing from the roots when
+  // nothing is typed
+  const handleBrowseKeyDown = (event) => {
+    const hierarchy = getHierarchy();
+    const { query, selectedIndex, selectionMode, browseLevel } = state;
+    const selected = selectionMode ? state.suggestions[selectedIndex] : null;
+    if (!hierarchy) {
+      return false;
+    }
+    if (
+      event.keyCode === KEYS.RIGHT_ARROW &&
+      isSuggestionsOpen &&
+      hasChildSuggestions(selected)
+    ) {
+      browseSuggestions(selected.id);
+      return true;
+    }
+    if (
+      event.keyCode === KEYS.LEFT_ARROW &&
+      browseLevel &&
+      browseLevel.parentId !== null
+    ) {
+      const parent = hierarchy.getItem(browseLevel.parentId);
+      const grandparent = hierarchy.getParent(parent);
+      const parentLevel = grandparent ? grandparent.id : null;
+      browseSuggestions(
+        parentLevel,
+        orderSuggestions(hierarchy.getChildren(parentLevel)).indexOf(parent)
+      );
+      return true;
+    }
+    if (
+      event.keyCode === KEYS.DOWN_ARROW &&
+      query === '' &&
+      !isSuggestionsOpen
+    ) {
+      browseSuggestions(null);
+      return true;
+    }
+    return false;
+  };
+
+  const handleKeyDown = (event) => {
+    const { query, selectedIndex, selectionMode } = state;
+
+    // the text of a non empty input is undone by the browser, even when it
+    // is only whitespace
+    if (event.target.value === '' && handleHistoryKeyDown(event)) {
+      return;
+    }
+
+    if (handleBrowseKeyDown(event)) {
+      event.preventDefault();
+      return;
+    }
+
+    // hide suggestions menu on escape
+    if (event.keyCode === KEYS.ESCAPE) {
+      event.preventDefault();
+      event.stopPropagation();
+      cancelSuggestionsRequest(instance);
+      setState({
+        selectedIndex: -1,
+        selectionMode: false,
+        suggestions: [],
+        isLoadingSuggestions: false,
+        isNewTagDismissed: true,
+        pendingPaste: null,
+        browseLevel: null,
+        isShowingRecent: false,
+      });
+    }
+
+    // When one of the terminating keys is pressed, add current query to the tags.
+    // If no text is typed in so far, ignore the action - so we don't end up with a terminating
+    // character typed in.
+    if (isDelimiterKey(event, props.delimiters) && !event.shiftKey) {
+      const isTab = event.keyCode === KEYS.TAB || event.key === 'Tab';
+      if (!isTab || query !== '') {
+        event.preventDefault();
+      }
+
+      if (selectionMode && selectedIndex !== -1) {
+        selectSuggestion(selectedIndex);
+      } else {
+        addTag(createQueryTag(query));
+      }
+    }
+
+    // when left arrow key is pressed and query is blank, focus the last tag
+    if (
+      event.keyCode === KEYS.LEFT_ARROW &&
+      query === '' &&
+      getTags().length > 0
+    ) {
+      event.preventDefault();
+      moveTagFocus(getTags().length - 1, false);
+    }
+
+    // when backspace key is pressed and query is blank, delete tag
+    if (
+      event.keyCode === KEYS.BACKSPACE &&
+      query === '' &&
+      props.allowDeleteFromEmptyInput
+    ) {
+      deleteTag(getTags().length - 1, event);
+    }
+
+    // up arrow
+    if (event.keyCode === KEYS.UP_ARROW) {
+      event.preventDefault();
+      setState({
+        selectedIndex: selectedIndex <= 0 ? optionCount - 1 : selectedIndex - 1,
+        selectionMode: true,
+      });
+    }
+
+    // down arrow
+    if (event.keyCode === KEYS.DOWN_ARROW) {
+      event.preventDefault();
+      setState({
+        selectedIndex:
+          optionCount === 0 ? -1 : (selectedIndex + 1) % optionCount,
+        selectionMode: true,
+      });
+    }
+  };
+
+  const handleTagFocus = (index) => {
+    if (state.activeTagIndex !== index) {
+      setState({
+        activeTagIndex: index,
+        tagSelectionAnchor: index,
+        grabbedTagIndex: -1,
+      });
+    }
+  };
+
+  const handleTagBlur = (event) => {
+    const { relatedTarget } = event;
+    // keep the selection while focus moves between tags
+    if (!relatedTarget || !instance.tagElements.includes(relatedTarget)) {
+      setState({
+        activeTagIndex: -1,
+        tagSelectionAnchor: -1,
+        grabbedTagIndex: -1,
+      });
+    }
+  };
+
+  const moveTag = (dragIndex, hoverIndex) => {
+    const tags = getTags();
+
+    // locate tags
+    const dragTag = tags[dragIndex];
+
+    // call handler with the index of the dragged tag
+    // and the tag that is hovered
+    if (props.handleDrag) {
+      props.handleDrag(dragTag, dragIndex, hoverIndex);
+    }
+    const newTags = tags.slice();
+    newTags.splice(dragIndex, 1);
+    newTags.splice(hoverIndex, 0, dragTag);
+    updateTags(newTags, {
+      action: 'reorder',
+      tag: dragTag,
+      index: hoverIndex,
+      previousIndex: dragIndex,
+    });
+  };
+
+  // Sorted tags can not be reordered by the user
+  const canReorderTags =
+    canChangeTags(props.handleDrag) &&
+    props.allowDragDrop &&
+    !props.readOnly &&
+    !isAutoSorted;
+
+  // Moves the tag at index to newIndex through handleDrag, keeping it focused
+  const reorderTag = (index, newIndex, messageKey, isGrabbed) => {
+    const tags = getTags();
+    if (newIndex !== index) {
+      moveTag(index, newIndex);
+    }
+    focusTag(newIndex);
+    setState({
+      activeTagIndex: newIndex,
+      tagSelectionAnchor: newIndex,
+      grabbedTagIndex: isGrabbed ? newIndex : -1,
+      ariaLiveStatus: getMessage(messageKey, {
+        ...getTagMessageValues(tags[index], newIndex),
+        position: newIndex + 1,
+        count: tags.length,
+      }),
+    });
+  };
+
+  const deleteSelectedTags = (event) => {
+    const { handleDeleteTags } = props;
+    const tags = getTags();
+    const indexes = getSelectedTagIndexes();
+    if (indexes.length === 0) {
+      return;
+    }
+    const first = indexes[0];
+    const last = indexes[indexes.length - 1];
+
+    let ariaLiveStatus;
+    if (indexes.length === 1) {
+      removeTag(first, event);
+      ariaLiveStatus = getMessage(
+        'tagDeleted',
+        getTagMessageValues(tags[first], first)
+      );
+    } else {
+      // delete from the end so that the remaining indexes stay valid
+      const reversedIndexes = indexes.slice().reverse();
+      withHistoryBatch(() => {
+        if (handleDeleteTags) {
+          handleDeleteTags(indexes, event);
+          reversedIndexes.forEach((index) => {
+            const currentTags = getTags();
+            updateTags(
+              currentTags.filter((tag, i) => i !== index),
+              { action: 'delete', tag: currentTags[index], index }
+            );
+          });
+        } else {
+          reversedIndexes.forEach((index) => removeTag(index, event));
+        }
+      });
+      ariaLiveStatus = getMessage('tagsDeleted', {
+        count: indexes.length,
+      });
+    }
+
+    // Tags are keyed by index, so after the deletion the tag following the
+    // selection is rendered in place of the first selected tag.
+    let nextIndex = last < tags.length - 1 ? first : first - 1;
+    if (nextIndex >= 0) {
+      focusTag(nextIndex);
+    } else if (instance.input) {
+      instance.input.focus();
+    }
+    setState({
+      activeTagIndex: nextIndex,
+      tagSelectionAnchor: nextIndex,
+      ariaLiveStatus,
+    });
+  };
+
+  const handleGrabbedTagKeyDown = (index, event) => {
+    const lastIndex = getTags().length - 1;
+    const { keyCode } = event;
+
+    if (keyCode === KEYS.LEFT_ARROW || keyCode === KEYS.RIGHT_ARROW) {
+      event.preventDefault();
+      const offset = keyCode === KEYS.LEFT_ARROW ? -1 : 1;
+      reorderTag(
+        index,
+        Math.min(Math.max(index + offset, 0), lastIndex),
+        'tagMoved',
+        true
+      );
+    }
+
+    if (keyCode === KEYS.HOME || keyCode === KEYS.END) {
+      event.preventDefault();
+      const newIndex = keyCode === KEYS.HOME ? 0 : lastIndex;
+      reorderTag(index, newIndex, 'tagMoved', true);
+    }
+
+    if (keyCode === KEYS.SPACE || KEYS.ENTER.includes(keyCode)) {
+      event.preventDefault();
+      reorderTag(index, index, 'tagDropped', false);
+    }
+
+    // escape puts the tag back where it was grabbed
+    if (keyCode === KEYS.ESCAPE) {
+      event.preventDefault();
+      reorderTag(index, state.grabOriginIndex, 'tagMoveCancelled', false);
+    }
+  };
+
+  const handleTagKeyDown = (index, event) => {
+    // ignore keys pressed on elements inside of the tag
+    if (event.target !== event.currentTarget) {
+      return;
+    }
+    const lastIndex = getTags().length - 1;
+    const extendSelection = event.shiftKey;
+    const { keyCode } = event;
+
+    if (handleHistoryKeyDown(event)) {
+      return;
+    }
+
+    if (state.grabbedTagIndex !== -1) {
+      handleGrabbedTagKeyDown(index, event);
+      return;
+    }
+
+    if (canReorderTags) {
+      // alt + left/right arrow moves the tag by one position
+      if (
+        event.altKey &&
+        (keyCode === KEYS.LEFT_ARROW || keyCode === KEYS.RIGHT_ARROW)
+      ) {
+        event.preventDefault();
+        const offset = keyCode === KEYS.LEFT_ARROW ? -1 : 1;
+        reorderTag(
+          index,
+          Math.min(Math.max(index + offset, 0), lastIndex),
+          'tagMoved',
+          false
+        );
+        return;
+      }
+
+      // space grabs the tag so that it can be moved with the arrow keys
+      if (keyCode === KEYS.SPACE) {
+        event.preventDefault();
+        setState({ grabOriginIndex: index });
+        reorderTag(index, index, 'tagGrabbed', true);
+        return;
+      }
+    }
+
+    if (keyCode === KEYS.LEFT_ARROW) {
+      event.preventDefault();
+      moveTagFocus(Math.max(index - 1, 0), extendSelection);
+    }
+
+    // moving right from the last tag returns to the input
+    if (keyCode === KEYS.RIGHT_ARROW) {
+      event.preventDefault();
+      if (index < lastIndex) {
+        moveTagFocus(index + 1, extendSelection);
+      } else if (!extendSelection && instance.input) {
+        instance.input.focus();
+      }
+    }
+
+    if (keyCode === KEYS.HOME || keyCode === KEYS.END) {
+      event.preventDefault();
+      moveTagFocus(keyCode === KEYS.HOME ? 0 : lastIndex, extendSelection);
+    }
+
+    if (keyCode === KEYS.BACKSPACE || keyCode === KEYS.DELETE) {
+      event.preventDefault();
+      if (!props.readOnly) {
+        deleteSelectedTags(event);
+      }
+    }
+  };
+
+  const isEditable = props.editable && canChangeTags(props.handleTagUpdate);
+
+  const startEditing = (index) => {
+    setState({ editingIndex: index });
+  };
+
+  const cancelEditing = () => {
+    setState({ editingIndex: -1 });
+  };
+
+  // Returns false when the edit is rejected and the tag should stay in
+  // edit mode, e.g. when it would duplicate another tag.
+  const commitEditing = (index, value) => {
+    const { labelField, handleTagUpdate } = props;
+    const tags = getTags();
+    const tag = tags[index];
+    const label = value.trim();
+    if (!label || label === tag[labelField]) {
+      cancelEditing();
+      return true;
+    }
+    // tags typed in by the user use their label as id
+    const updatedTag = {
+      ...tag,
+      id: tag.id === tag[labelField] ? label : tag.id,
+      [labelField]: label,
+    };
+    if (isExistingTag(updatedTag, index)) {
+      return false;
+    }
+    if (handleTagUpdate) {
+      handleTagUpdate(index, updatedTag);
+    }
+    updateTags(
+      tags.map((tag, i) => (i === index ? updatedTag : tag)),
+      { action: 'update', tag: updatedTag, index }
+    );
+    setState({
+      editingIndex: -1,
+      ariaLiveStatus: getMessage(
+        'tagUpdated',
+        getTagMessageValues(updatedTag, index)
+      ),
+    });
+    return true;
+  };
+
+  const handleFormReset = () => {
+    cancelSuggestionsRequest(instance);
+    if (isControlled() && !props.onChange) {
+      // Without onChange the parent only hears about the handlers: the
+      // current tags are deleted, from the last one, and the initial ones
+      // added
+      const tags = getTags();
+      tags.forEach((tag, i) => props.handleDelete(tags.length - 1 - i));
+      instance.initialTags.forEach((tag, index) =>
+        props.handleAddition(tag, index)
+      );
+    }
+    updateTags(instance.initialTags, { action: 'reset' });
+    setState({
+      query: '',
+      suggestions: [],
+      selectedIndex: -1,
+      selectionMode: false,
+      isLoadingSuggestions: false,
+      suggestionsError: null,
+      validationError: null,
+      validationWarning: null,
+      editingIndex: -1,
+      activeTagIndex: -1,
+      tagSelectionAnchor: -1,
+      grabbedTagIndex: -1,
+      grabOriginIndex: -1,
+    });
+  };
+
+  // Message reported to the browser's constraint validation, mirroring the
+  // required and minlength attributes: minTags only applies to non-empty tags
+  const getValidityMessage = () => {
+    const { length } = getTags();
+    if (length === 0) {
+      return props.required ? getMessage('tagsRequired') : '';
+    }
+    return props.minTags && length < props.minTags
+      ? getMessage('tooFewTags', { count: props.minTags })
+      : '';
+  };
+
+  instance.latest = {
+    loadSuggestions,
+    excludeExistingTags,
+    boostUsedSuggestions,
+    orderSuggestions,
+    handleAsyncValidationResult,
+    moveTag,
+    handleFormReset,
+  };
+
+  useEffect(() => {
+    if (props.autofocus && !props.readOnly) {
+      resetAndFocusInput();
+    }
+    return () => {
+      instance.isUnmounted = true;
+      cancelSuggestionsRequest(instance);
+      clearTimeout(instance.duplicateTimeout);
+      clearTimeout(instance.undoNoticeTimeout);
+    };
+  }, []);
+
+  // The input is the anchor in the surrounding form: hidden inputs are not
+  // validated by the browser, and the input may move between forms.
+  useEffect(() => {
+    const { input } = instance;
+    if (!input) {
+      return undefined;
+    }
+    input.setCustomValidity(getValidityMessage());
+    const { form } = input;
+    if (!form) {
+      return undefined;
+    }
+    const handleReset = () => instance.latest.handleFormReset();
+    form.addEventListener('reset', handleReset);
+    return () => form.removeEventListener('reset', handleReset);
+  });
+
+  // A query waiting for the old delay is loaded after the new one instead
+  useEffect(() => {
+    if (instance.loadSuggestionsDebounce === props.loadSuggestionsDebounce) {
+      return;
+    }
+    instance.debouncedLoadSuggestions.cancel();
+    debounceLoadSuggestions(instance, props.loadSuggestionsDebounce);
+    if (state.isLoadingSuggestions && !instance.pendingSuggestionsRequest) {
+      instance.debouncedLoadSuggestions(state.query);
+    }
+  }, [props.loadSuggestionsDebounce]);
+
+  useEffect(() => {
+    if (!isEqual(previousSuggestions.current, props.suggestions)) {
+      previousSuggestions.current = props.suggestions;
+      updateSuggestions(state.query);
+    }
+  });
+
+  const tags = getTags();
+  const selectedTagIndexes = getSelectedTagIndexes();
+  // roving tabindex: only the active (or else the first) tag is tabbable
+  const tabbableIndex = Math.min(
+    Math.max(state.activeTagIndex, 0),
+    tags.length - 1
+  );
+  const placeholder =
+    props.placeholder !== undefined
+      ? props.placeholder
+      : getMessage('placeholder');
+
+  const getInputProps = (overrides = {}) => ({
+    ...overrides,
+    ref: (input) => {
+      instance.input = input;
+    },
+    type: 'text',
+    placeholder,
+    'aria-label': placeholder,
+    'aria-invalid': state.validationError ? true : undefined,
+    'aria-describedby':
+      state.validationError || state.validationWarning
+        ? validationId
+        : undefined,
+    role: 'combobox',
+    'aria-required': props.required || undefined,
+    'aria-autocomplete': 'list',
+    'aria-expanded': isSuggestionsOpen,
+    'aria-controls': listboxId,
+    'aria-activedescendant':
+      isSuggestionsOpen && state.selectedIndex >= 0
+        ? getOptionId(listboxId, state.selectedIndex)
+        : undefined,
+    onFocus: callAll(overrides.onFocus, handleFocus),
+    onBlur: callAll(overrides.onBlur, handleBlur),
+    onChange: callAll(overrides.onChange, handleChange),
+    onKeyDown: callAll(overrides.onKeyDown, handleKeyDown),
+    onPaste: callAll(overrides.onPaste, handlePaste),
+    name: props.name,
+    id: props.id,
+    maxLength: props.maxLength,
+    value: props.inputValue,
+    ...(isLimitReached && { readOnly: true, 'aria-disabled': true }),
+  });
+
+  // One props object per hidden input carrying the tags in form submissions
+  const getHiddenInputProps = (overrides = {}) => {
+    if (!props.hiddenInputName) {
+      return [];
+    }
+    return serializeTags(tags, props.hiddenInputFormat, props.labelField).map(
+      (value) => ({
+        ...overrides,
+        type: 'hidden',
+        name: props.hiddenInputName,
+        value,
+      })
+    );
+  };
+
+  const getTagListProps = (overrides = {}) => ({
+    ...overrides,
+    role: 'list',
+    'aria-label': getMessage('tagList', { count: tags.length }),
+  });
+
+  const getTagProps = (index, overrides = {}) => {
+    const handleClick = (event) => handleTagClick(index, event);
+    return {
+      ...overrides,
+      ref: (element) => {
+        instance.tagElements[index] = element;
+      },
+      role: 'listitem',
+      'aria-setsize': tags.length,
+      'aria-posinset': index + 1,
+      tabIndex: index === tabbableIndex ? 0 : -1,
+      onClick: callAll(overrides.onClick, handleClick),
+      onTouchStart: callAll(overrides.onTouchStart, handleClick),
+      onKeyDown: callAll(overrides.onKeyDown, (event) =>
+        handleTagKeyDown(index, event)
+      ),
+      onFocus: callAll(overrides.onFocus, () => handleTagFocus(index)),
+      onBlur: callAll(overrides.onBlur, handleTagBlur),
+    };
+  };
+
+  const getRemoveProps = (index, overrides = {}) => ({
+    ...overrides,
+    ref: (element) => {
+      instance.removeElements[index] = element;
+    },
+    type: 'button',
+    'aria-label': getMessage(
+      'removeTag',
+      getTagMessageValues(tags[index], index)
+    ),
+    onClick: callAll(overrides.onClick, (event) => deleteTag(index, event)),
+    onKeyDown: callAll(overrides.onKeyDown, (event) => {
+      if (event.keyCode === KEYS.BACKSPACE || event.keyCode === KEYS.DELETE) {
+        deleteTag(index, event);
+      }
+      // deleting a tag from the input focuses a remove button
+      handleHistoryKeyDown(event);
+    }),
+  });
+
+  const suggestionGroups = groupSuggestions(
+    state.suggestions,
+    getSuggestionGroup
+  );
+
+  const {
+    getListboxProps,
+    getSuggestionGroupProps,
+    getSuggestionGroupHeaderProps,
+    getSuggestionProps,
+  } = createSuggestionPropGetters({
+    listboxId,
+    selectedIndex: state.selectedIndex,
+    onSelect: selectSuggestion,
+    onHighlight: highlightSuggestion,
+  });
+
+  return {
+    tags,
+    query: state.query,
+    suggestions: state.suggestions,
+    suggestionGroups,
+    selectedIndex: state.selectedIndex,
+    isFocused: state.isFocused,
+    isSuggestionsOpen,
+    isBrowsingSuggestions,
+    isShowingRecentSuggestions: state.isShowingRecent,
+    newTagLabel,
+    matcher,
+    isLoadingSuggestions: state.isLoadingSuggestions,
+    suggestionsError: state.suggestionsError,
+    validationError: state.validationError,
+    validationWarning: state.validationWarning,
+    ariaLiveStatus: state.ariaLiveStatus,
+    isLimitReached,
+    isEditable,
+    isAutoSorted,
+    editingIndex: state.editingIndex,
+    selectedTagIndexes,
+    grabbedTagIndex: state.grabbedTagIndex,
+    pendingPaste: state.pendingPaste,
+    undoNotice: state.undoNotice,
+    canUndo: instance.history.undoStack.length > 0,
+    canRedo: instance.history.redoStack.length > 0,
+    duplicateTagIndex: state.duplicateTag
+      ? tags.indexOf(state.duplicateTag)
+      : -1,
+    listboxId,
+    validationId,
+    addTag,
+    deleteTag,
+    moveTag: instance.moveTag,
+    selectSuggestion,
+    highlightSuggestion,
+    confirmPaste,
+    cancelPaste,
+    undo,
+    redo,
+    startEditing,
+    cancelEditing,
+    commitEditing,
+    getMessage,
+    getPath,
+    hasChildSuggestions,
+    getInputProps,
+    getHiddenInputProps,
+    getTagListProps,
+    getTagProps,
+    getRemoveProps,
+    getListboxProps,
+    getSuggestionGroupProps,
+    getSuggestionGroupHeaderProps,
+    getSuggestionProps,
+  };
+};
+
+export default useReactTags;
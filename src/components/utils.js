@@ -1,32 +1,151 @@
 import escapeRegExp from 'lodash/escapeRegExp';
 
+// Characters typed by the named keys that can be used as delimiters
+const KEY_CHARS = { Enter: '\r\n', Tab: '\t' };
+
+// keyCode of the key events sent while an IME composes text
+const IME_KEY_CODE = 229;
+
 /**
- * Convert an array of delimiter characters into a regular expression
- * that can be used to split content by those delimiters.
- * @param {Array<char>} delimiters Array of characters to turn into a regex
+ * Returns the delimiters prop as an array, which can also be a single
+ * regular expression
+ * @param {Array|RegExp} delimiters Delimiters prop
+ * @returns {Array<number|string|RegExp>} Array of delimiters
+ */
+function toDelimiterList(delimiters) {
+  return delimiters instanceof RegExp ? [delimiters] : delimiters;
+}
+
+/**
+ * Convert a delimiter keycode into the character it types
+ * @param {number} keyCode Keycode of the delimiter
+ * @returns {string} Delimiter character
+ */
+function getKeyCodeChar(keyCode) {
+  // See: http://stackoverflow.com/a/34711175/1463681
+  const chrCode = keyCode - 48 * Math.floor(keyCode / 48);
+  return String.fromCharCode(96 <= keyCode ? chrCode : keyCode);
+}
+
+/**
+ * Builds the source of a regular expression matching the text of a single
+ * delimiter: the characters of keycodes and named keys, strings and the
+ * matches of regular expressions
+ * @param {Array|RegExp} delimiters Delimiters prop
+ * @returns {string} Regular expression source
+ */
+function getDelimiterSource(delimiters) {
+  let chars = '';
+  const alternatives = [];
+  toDelimiterList(delimiters).forEach((delimiter) => {
+    if (delimiter instanceof RegExp) {
+      alternatives.push(`(?:${delimiter.source})`);
+    } else if (typeof delimiter === 'number') {
+      chars += getKeyCodeChar(delimiter);
+    } else if (KEY_CHARS[delimiter] !== undefined) {
+      chars += KEY_CHARS[delimiter];
+    } else {
+      alternatives.push(escapeRegExp(delimiter));
+    }
+  });
+  if (chars) {
+    alternatives.push(`[${escapeRegExp(chars).replace(/-/g, '\\-')}]`);
+  }
+  // a character class matching nothing when there are no delimiters
+  return alternatives.length ? alternatives.join('|') : '[^\\s\\S]';
+}
+
+/**
+ * Convert an array of delimiters (keycodes, strings or regular expressions)
+ * into a regular expression that can be used to split content by those
+ * delimiters.
+ * @param {Array|RegExp} delimiters Delimiters prop
  * @returns {RegExp} Regular expression
  */
 export function buildRegExpFromDelimiters(delimiters) {
-  const delimiterChars = delimiters
-    .map((delimiter) => {
-      // See: http://stackoverflow.com/a/34711175/1463681
-      const chrCode = delimiter - 48 * Math.floor(delimiter / 48);
-      return String.fromCharCode(96 <= delimiter ? chrCode : delimiter);
-    })
-    .join('');
-  const escapedDelimiterChars = escapeRegExp(delimiterChars);
-  return new RegExp(`[${escapedDelimiterChars}]+`);
+  return new RegExp(`(?:${getDelimiterSource(delimiters)})+`);
+}
+
+/**
+ * Returns true when a key event is one of the delimiters: keycodes are
+ * compared to event.keyCode, strings to event.key (e.g. ',' or 'Enter')
+ * and regular expressions are tested against the typed character. Keys
+ * pressed while an IME composes text are never delimiters.
+ * @param {KeyboardEvent} event Key event
+ * @param {Array|RegExp} delimiters Delimiters prop
+ * @returns {boolean} Whether the key is a delimiter
+ */
+export function isDelimiterKey(event, delimiters) {
+  if (event.isComposing || event.keyCode === IME_KEY_CODE) {
+    return false;
+  }
+  const { key = '' } = event;
+  return toDelimiterList(delimiters).some((delimiter) => {
+    if (delimiter instanceof RegExp) {
+      return key.length === 1 && new RegExp(delimiter.source).test(key);
+    }
+    if (typeof delimiter === 'number') {
+      return event.keyCode === delimiter;
+    }
+    return key === delimiter;
+  });
+}
+
+/**
+ * Splits pasted text into tag labels. Lines, tab separated cells (e.g.
+ * copied from a spreadsheet) and the delimiters separate the values.
+ * Values can be quoted like in CSV (RFC 4180) to contain separators, with
+ * "" standing for a quote. Values are trimmed and empty ones are left out.
+ * @param {string} text Pasted text
+ * @param {Array|RegExp} delimiters Delimiters prop
+ * @returns {Array<string>} Labels in the order they were pasted
+ */
+export function parsePastedText(text, delimiters) {
+  const separator = new RegExp(
+    `[\\n\\r\\t]|${getDelimiterSource(delimiters)}`,
+    'y'
+  );
+  const values = [];
+  let value = '';
+  let isQuoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    separator.lastIndex = i;
+    const match = !isQuoted && separator.exec(text);
+    if (isQuoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += char;
+        i++;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"' && value.trim() === '') {
+      // a quote only opens a quoted value at its start
+      value = '';
+      isQuoted = true;
+    } else if (match && match[0]) {
+      values.push(value);
+      value = '';
+      i += match[0].length - 1;
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+  return values.map((value) => value.trim()).filter(Boolean);
 }
 
 /**
  * Returns true when the tag is drag enabled
  * @param {object} params props of the tag element
  * @returns {boolean} true/false
- * The three different properties which controls this function are moveTag, readOnly and allowDragDrop.
+ * The four different properties which controls this function are moveTag, readOnly, allowDragDrop and isEditing.
  */
 export function canDrag(params) {
-  const { moveTag, readOnly, allowDragDrop } = params;
-  return moveTag !== undefined && !readOnly && allowDragDrop;
+  const { moveTag, readOnly, allowDragDrop, isEditing } = params;
+  return moveTag !== undefined && !readOnly && allowDragDrop && !isEditing;
 }
 
 /**
@@ -39,3 +158,158 @@ export function canDrop(params) {
   const { readOnly, allowDragDrop } = params;
   return !readOnly && allowDragDrop;
 }
+
+/**
+ * Returns the id of a suggestion option, used to reference the active
+ * suggestion from the input with aria-activedescendant
+ * @param {string} listboxId id of the suggestions listbox
+ * @param {number} index index of the suggestion
+ * @returns {string} id of the option element
+ */
+export function getOptionId(listboxId, index) {
+  return `${listboxId}-option-${index}`;
+}
+
+/**
+ * Returns the id of a suggestion group header, used to label the group
+ * @param {string} listboxId id of the suggestions listbox
+ * @param {number} index index of the group
+ * @returns {string} id of the group header element
+ */
+export function getGroupHeaderId(listboxId, index) {
+  return `${listboxId}-group-${index}`;
+}
+
+/**
+ * Groups suggestions, keeping the groups in the order of their first
+ * suggestion and the suggestions of a group in their original order
+ * @param {Array<object>} suggestions suggestions to group
+ * @param {Function} getGroup returns the group of a suggestion, or undefined
+ * when it has none
+ * @returns {Array<object>} groups as { group, suggestions, index } where index
+ * is the position of the first suggestion of the group once grouped
+ */
+export function groupSuggestions(suggestions, getGroup) {
+  const groups = [];
+  const groupsByKey = new Map();
+  suggestions.forEach((suggestion) => {
+    const key = getGroup(suggestion);
+    if (!groupsByKey.has(key)) {
+      const group = { group: key, suggestions: [] };
+      groupsByKey.set(key, group);
+      groups.push(group);
+    }
+    groupsByKey.get(key).suggestions.push(suggestion);
+  });
+  let index = 0;
+  groups.forEach((group) => {
+    group.index = index;
+    index += group.suggestions.length;
+  });
+  return groups;
+}
+
+/**
+ * Returns an event handler calling every given handler, skipping the ones that
+ * are not set
+ * @param {...Function} handlers event handlers
+ * @returns {Function} combined event handler
+ */
+export function callAll(...handlers) {
+  return (event) => handlers.forEach((handler) => handler && handler(event));
+}
+
+/**
+ * Returns the prop getters of the suggestions listbox, its groups and its
+ * options, merging the given overrides with the roles, ids and handlers
+ * @param {object} options
+ * @param {string} [options.listboxId] id of the listbox, without which the
+ * options and group headers get no id
+ * @param {number} options.selectedIndex index of the highlighted option
+ * @param {Function} options.onSelect called with the index of a pressed option
+ * @param {Function} options.onHighlight called with the index of a hovered
+ * option
+ * @returns {object} getListboxProps, getSuggestionGroupProps,
+ * getSuggestionGroupHeaderProps and getSuggestionProps
+ */
+export function createSuggestionPropGetters({
+  listboxId,
+  selectedIndex,
+  onSelect,
+  onHighlight,
+}) {
+  const getId = (getElementId, index) =>
+    listboxId ? getElementId(listboxId, index) : undefined;
+  return {
+    getListboxProps: (overrides = {}) => ({
+      ...overrides,
+      id: listboxId,
+      role: 'listbox',
+    }),
+    getSuggestionGroupProps: (groupIndex, overrides = {}) => ({
+      ...overrides,
+      role: 'group',
+      'aria-labelledby': getId(getGroupHeaderId, groupIndex),
+    }),
+    // Headers are not options: pressing them keeps the focus in the input
+    getSuggestionGroupHeaderProps: (groupIndex, overrides = {}) => ({
+      ...overrides,
+      id: getId(getGroupHeaderId, groupIndex),
+      role: 'presentation',
+      onMouseDown: callAll(overrides.onMouseDown, (event) =>
+        event.preventDefault()
+      ),
+    }),
+    getSuggestionProps: (index, overrides = {}) => {
+      const handleSelect = () => onSelect(index);
+      return {
+        ...overrides,
+        id: getId(getOptionId, index),
+        role: 'option',
+        'aria-selected': index === selectedIndex,
+        onMouseDown: callAll(overrides.onMouseDown, handleSelect),
+        onTouchStart: callAll(overrides.onTouchStart, handleSelect),
+        onMouseOver: callAll(overrides.onMouseOver, () => onHighlight(index)),
+      };
+    },
+  };
+}
+
+/**
+ * Returns the Intl.PluralRules category of a count, falling back to the
+ * English rules when Intl.PluralRules is not available
+ * @param {number} count count to pluralize
+ * @param {string} locale BCP 47 language tag
+ * @returns {string} plural category, e.g. one, few or other
+ */
+function getPluralCategory(count, locale) {
+  if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+    return new Intl.PluralRules(locale).select(count);
+  }
+  return count === 1 ? 'one' : 'other';
+}
+
+/**
+ * Formats a message with the given values
+ * @param {string|object|Function} message a string with {name} placeholders,
+ * an object of plural forms selected by values.count, or a function
+ * receiving the values
+ * @param {object} values values to interpolate
+ * @param {string} locale BCP 47 language tag used for pluralization
+ * @returns {string} formatted message
+ */
+export function formatMessage(message, values = {}, locale) {
+  if (typeof message === 'function') {
+    return message(values);
+  }
+  if (message && typeof message === 'object') {
+    const exact = message[`=${values.count}`];
+    message =
+      exact !== undefined
+        ? exact
+        : message[getPluralCategory(values.count, locale)] || message.other;
+  }
+  return String(message).replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] !== undefined ? String(values[name]) : placeholder
+  );
+}